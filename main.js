@@ -11,18 +11,296 @@
  * Architecture:
  * - Game: Main controller that orchestrates all game systems
  * - LevelManager: Handles level loading and management
- * - Player: Manages player state, position, and color
- * - Renderer: Draws the game to the canvas
- * - InputHandler: Processes keyboard input
- * - TimerSystem: Tracks completion time
- * - LeaderboardSystem: Manages high scores with localStorage
+ * - LevelValidator: Reports structural errors in level configs
+ * - LevelCodec: Packs levels into short checksummed codes for sharing as links
+ * - MathPuzzleGenerator: Seeded math questions for math gates
+ * - LevelSolver: Finds optimal solutions by searching the full game state
+ * - LevelGenerator: Seeded random levels, checked solvable by LevelSolver
+ * - Player: Manages player state, position, color and lives
+ * - HistorySystem: Full-state undo/redo of player and tile changes
+ * - HazardSystem: Patrolling obstacles, color-cycling tiles and timed gates on a world clock
+ * - AnimationSystem: Player slides, falls, crumbling tiles and particle bursts
+ * - SoundManager: Synthesized sound effects and music with saved volume settings
+ * - Renderer: Draws the game to the canvas, with a camera for levels bigger than the screen
+ * - LevelEditor: Builds and exports custom levels on the editor screen
+ * - InputHandler: Maps keyboard and gamepad input to rebindable actions
+ * - TimerSystem: Tracks completion time and counts down time-limited levels
+ * - LeaderboardSystem: Manages per-level high scores with localStorage
+ * - ProgressStore: Remembers each player's cleared levels and personal bests
+ * - DailyChallenge: The date-seeded daily level, its attempts and its own board
+ * - ReplayRecorder / ReplayPlayer: Record runs as input logs and play them back
  */
 
 // ============================================
 // CONSTANTS AND CONFIGURATION
 // ============================================
 
-const TILE_SIZE = 60; // Size of each grid cell in pixels (increased for better visibility)
+// Tile size and camera (see Renderer)
+const BASE_TILE_SIZE = 60;        // Tile size in CSS pixels at 100% zoom when the level fits on screen
+const MIN_TILE_SIZE = 32;         // Levels too big for the screen shrink to this, then the camera scrolls
+const ZOOM_LEVELS = [0.5, 0.75, 1, 1.25, 1.5, 2];
+const CAMERA_DEAD_ZONE = 0.4;     // Share of the view, centred, the player can cross before the camera follows
+const CAMERA_PAN_SPEED = 8;       // How quickly the camera catches up with the player (per second)
+const VIEWPORT_BOTTOM_MARGIN = 170; // CSS pixels kept free below the board for the controls
+const TELEPORT_MOVE_COST = 1; // Extra moves charged for each teleport jump (on top of the step itself)
+const SOLVER_MAX_STATES = 250000; // Search budget before LevelSolver gives up without a verdict
+const UNKNOWN_LEVEL_KEY = 'unknown'; // Leaderboard bucket for migrated scores with no level
+
+// Level pack file format (see LevelManager.importLevelPack())
+const LEVEL_PACK_FORMAT = 'color-path-level-pack';
+const LEVEL_PACK_VERSION = 1;
+const DEFAULT_PACK_META = {
+    name: 'Color Path Campaign',
+    author: 'Color Path',
+    description: 'The built-in levels'
+};
+
+// Leaderboard views
+const LEADERBOARD_VIEWS = {
+    FASTEST: 'fastest',
+    FEWEST_MOVES: 'fewestMoves'
+};
+
+// Level editor
+const EDITOR_DEFAULT_SIZE = { width: 10, height: 8 };
+const EDITOR_MAX_SIZE = 30; // Largest width or height the editor allows
+const EDITOR_DEFAULT_GATE = { question: '2 + 2', answer: 4 }; // New math gates start with this
+
+// Replay logs (see ReplayRecorder)
+const REPLAY_VERSION = 1;
+const REPLAY_EVENTS = {
+    MOVE: 'm',      // arg: index into DIRECTIONS
+    UNDO: 'u',
+    REDO: 'y',
+    RESTART: 'r',
+    ANSWER: 'a',    // arg: the math gate answer as typed (absent if cancelled, false if time ran out)
+    TICK: 't'       // A tick of the hazards' time clock
+};
+const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+const REPLAY_MAX_GAP = 1500; // Longest pause between replayed events (ms at 1x), so idle time is skipped
+
+// Lives and difficulty modes (see Game.playerDied())
+const PLAYER_LIVES = 3;          // Deaths a run survives; each respawns at the last checkpoint
+const DIFFICULTY_MODES = {
+    CASUAL: 'casual',            // A death takes back the move that caused it; no lives are lost
+    NORMAL: 'normal',            // A death costs a life and goes back to the last checkpoint
+    HARDCORE: 'hardcore'         // As normal, with undo and redo turned off
+};
+const DIFFICULTY_SETTINGS = {
+    [DIFFICULTY_MODES.CASUAL]: { label: 'Casual', badge: '🌱', rewind: true, undo: true },
+    [DIFFICULTY_MODES.NORMAL]: { label: 'Normal', badge: '', rewind: false, undo: true },
+    [DIFFICULTY_MODES.HARDCORE]: { label: 'Hardcore', badge: '💀', rewind: false, undo: false }
+};
+
+// Level limits (optional `maxMoves` and `timeLimit` on a level)
+const FAILURE_REASONS = {
+    DIED: 'died',                // Killed by the level; lives and casual rewinds apply
+    OUT_OF_MOVES: 'outOfMoves',  // Used every move of `maxMoves` short of the goal
+    OUT_OF_TIME: 'outOfTime'     // The `timeLimit` countdown ran out
+};
+const FAILURE_TITLES = {
+    [FAILURE_REASONS.DIED]: '💀 Game Over!',
+    [FAILURE_REASONS.OUT_OF_MOVES]: '👣 Out of Moves!',
+    [FAILURE_REASONS.OUT_OF_TIME]: '⏰ Out of Time!'
+};
+const LIMIT_WARNING_SHARE = 0.25;  // HUD warns when this share of a limit is left...
+const LIMIT_CRITICAL_SHARE = 0.1;  // ...and turns critical at this share
+
+// Hazards (see HazardSystem)
+const HAZARD_TYPES = {
+    PATROL: 'patrol',          // Obstacle walking a path; lethal to touch
+    COLOR_CYCLE: 'colorCycle', // Ground tile that switches color
+    TIMED_GATE: 'timedGate'    // Tile that opens and closes (solid while closed)
+};
+const HAZARD_CLOCKS = {
+    MOVES: 'moves',            // Ticks once per player move
+    TIME: 'time'               // Ticks every HAZARD_TIME_TICK seconds of level time
+};
+const HAZARD_TIME_TICK = 1;    // Seconds per tick of the time clock
+
+// Math gates
+const MATH_DIFFICULTY = {
+    EASY: 1,        // + and − up to 20
+    MEDIUM: 2,      // ×, ÷ and two-digit + and −
+    HARD: 3         // Mixed operations (order of operations)
+};
+const MATH_PUZZLE_TIME_LIMIT = 30; // Seconds to answer a math gate before it counts as wrong
+
+// Level generator (see LevelGenerator)
+const GENERATOR_DIFFICULTY = {
+    EASY: 1,        // Colored ground and color changers
+    MEDIUM: 2,      // Adds fragile tiles, a key and door, and a math gate
+    HARD: 3         // Longer paths, more pits, two keys and gates
+};
+// Per difficulty: share of the interior the path tries to cover; chance of a
+// path tile being a changer, colored ground or fragile; keys and gates on the
+// path; share of other tiles that are walls and pits
+const GENERATOR_SETTINGS = {
+    [GENERATOR_DIFFICULTY.EASY]: {
+        path: 0.3, changers: 0.15, colored: 0.35, fragile: 0, keys: 0, mathGates: 0,
+        walls: 0.35, pits: 0.1, mathDifficulty: MATH_DIFFICULTY.EASY
+    },
+    [GENERATOR_DIFFICULTY.MEDIUM]: {
+        path: 0.4, changers: 0.15, colored: 0.45, fragile: 0.06, keys: 1, mathGates: 1,
+        walls: 0.3, pits: 0.2, mathDifficulty: MATH_DIFFICULTY.EASY
+    },
+    [GENERATOR_DIFFICULTY.HARD]: {
+        path: 0.5, changers: 0.2, colored: 0.5, fragile: 0.1, keys: 2, mathGates: 2,
+        walls: 0.25, pits: 0.3, mathDifficulty: MATH_DIFFICULTY.MEDIUM
+    }
+};
+const GENERATOR_MIN_SIZE = 5;         // Smallest width or height (a 3x3 interior)
+const GENERATOR_MAX_ATTEMPTS = 50;    // Candidate layouts tried before giving up
+const GENERATOR_MIN_SOLUTION = 0.5;   // Shortest solution must be at least this share of the path's length
+const ENDLESS_START_SIZE = { width: 8, height: 6 };
+const ENDLESS_MAX_SIZE = { width: 16, height: 12 };
+const ENDLESS_STAGES_PER_STEP = 3;    // Endless stages between each step up in size and difficulty
+
+// Daily challenge (see DailyChallenge)
+const DAILY_LEVEL_OPTIONS = { width: 12, height: 9, difficulty: GENERATOR_DIFFICULTY.MEDIUM };
+const DAILY_MAX_ATTEMPTS = 3;         // Attempts per player per day (every start or restart is one)
+const DAILY_KEEP_DAYS = 30;           // Days of daily boards kept in localStorage
+
+// Level codes (see LevelCodec)
+const LEVEL_CODE_VERSION = 1;
+const LEVEL_CODE_HASH_KEY = 'level';  // Shared links open a level from #level=<code>
+// Short keys for the level fields a code carries besides size, start, goal and grid
+const LEVEL_CODE_FIELDS = {
+    name: 'n',
+    targetMoves: 'm',
+    mathGates: 'q',
+    mathDifficulty: 'd',
+    seed: 'r',
+    teleports: 'p',
+    teleportCost: 'c',
+    hazards: 'z',
+    maxMoves: 'x',
+    timeLimit: 'l'
+};
+
+// Movement directions, in the order the solver tries them
+const DIRECTIONS = [
+    { dx: 0, dy: -1, name: 'up' },
+    { dx: 1, dy: 0, name: 'right' },
+    { dx: 0, dy: 1, name: 'down' },
+    { dx: -1, dy: 0, name: 'left' }
+];
+
+// Input actions, each bound to keys (rebindable) and gamepad buttons
+const INPUT_ACTIONS = {
+    UP: 'up',
+    DOWN: 'down',
+    LEFT: 'left',
+    RIGHT: 'right',
+    RESTART: 'restart',
+    UNDO: 'undo',
+    REDO: 'redo',
+    HINT: 'hint',
+    PAUSE: 'pause',
+    ZOOM_IN: 'zoomIn',
+    ZOOM_OUT: 'zoomOut',
+    MUTE: 'mute'
+};
+const INPUT_ACTION_LABELS = {
+    up: 'Move Up',
+    down: 'Move Down',
+    left: 'Move Left',
+    right: 'Move Right',
+    restart: 'Restart',
+    undo: 'Undo',
+    redo: 'Redo',
+    hint: 'Hint',
+    pause: 'Pause',
+    zoomIn: 'Zoom In',
+    zoomOut: 'Zoom Out',
+    mute: 'Mute Sound'
+};
+// Keys are KeyboardEvent.key values, lowercased; each action has up to two
+const DEFAULT_KEY_BINDINGS = {
+    up: ['arrowup', 'w'],
+    down: ['arrowdown', 's'],
+    left: ['arrowleft', 'a'],
+    right: ['arrowright', 'd'],
+    restart: ['r'],
+    undo: ['u'],
+    redo: ['y'],
+    hint: ['h'],
+    pause: ['p', 'escape'],
+    zoomIn: ['=', '+'],
+    zoomOut: ['-'],
+    mute: ['m']
+};
+const MAX_KEYS_PER_ACTION = 2;
+// Button indices in the browser's "standard" gamepad mapping
+const GAMEPAD_BINDINGS = {
+    up: [12],           // D-pad
+    down: [13],
+    left: [14],
+    right: [15],
+    undo: [1, 4],       // B / Circle, LB
+    redo: [5],          // RB
+    hint: [3],          // Y / Triangle
+    restart: [8],       // Back / Select
+    pause: [9]          // Start / Options
+};
+const GAMEPAD_STICK_THRESHOLD = 0.5; // Left stick deflection that counts as a direction
+const KEY_REPEAT_DELAY = 250;        // ms a direction is held before it starts repeating
+const KEY_REPEAT_INTERVAL = 150;     // ms between repeated moves, so a held direction steps tile by tile
+const SWIPE_MIN_DISTANCE = 30;       // CSS pixels a touch must travel to count as a swipe rather than a tap
+const INPUT_QUEUE_LIMIT = 2;         // Actions held while an animation plays; extra presses are dropped
+
+// Animations (ms, see AnimationSystem)
+const MOVE_ANIMATION_DURATION = 120; // Sliding from one tile to the next
+const FALL_ANIMATION_DURATION = 600; // Shrinking into a pit before the failure screen
+const GOAL_ANIMATION_DURATION = 700; // Goal celebration before the success screen
+const DISSOLVE_DURATION = 450;       // A fragile tile crumbling
+const PARTICLE_LIFETIME = 600;
+
+// Sound (see SoundManager). Cues are synthesized from notes:
+// freq in Hz (slide: pitch at the end), start and duration in seconds
+const SOUND_CUES = {
+    move: [{ freq: 420, duration: 0.05, type: 'triangle', volume: 0.25 }],
+    colorChange: [
+        { freq: 520, slide: 880, duration: 0.18, type: 'sine', volume: 0.5 },
+        { freq: 780, slide: 1320, start: 0.06, duration: 0.16, type: 'sine', volume: 0.3 }
+    ],
+    key: [
+        { freq: 988, duration: 0.08, type: 'square', volume: 0.3 },
+        { freq: 1319, start: 0.08, duration: 0.16, type: 'square', volume: 0.3 }
+    ],
+    door: [
+        { freq: 180, slide: 120, duration: 0.12, type: 'sawtooth', volume: 0.35 },
+        { freq: 523, start: 0.12, duration: 0.15, type: 'triangle', volume: 0.4 }
+    ],
+    correct: [
+        { freq: 523, duration: 0.1, type: 'triangle', volume: 0.45 },
+        { freq: 659, start: 0.1, duration: 0.1, type: 'triangle', volume: 0.45 },
+        { freq: 784, start: 0.2, duration: 0.2, type: 'triangle', volume: 0.45 }
+    ],
+    wrong: [
+        { freq: 220, duration: 0.15, type: 'square', volume: 0.3 },
+        { freq: 165, start: 0.15, duration: 0.25, type: 'square', volume: 0.3 }
+    ],
+    crumble: [{ freq: 160, slide: 60, duration: 0.3, type: 'sawtooth', volume: 0.3 }],
+    checkpoint: [
+        { freq: 659, duration: 0.1, type: 'sine', volume: 0.4 },
+        { freq: 988, start: 0.1, duration: 0.25, type: 'sine', volume: 0.4 }
+    ],
+    death: [{ freq: 440, slide: 80, duration: 0.6, type: 'sawtooth', volume: 0.4 }],
+    complete: [
+        { freq: 523, duration: 0.12, type: 'triangle', volume: 0.45 },
+        { freq: 659, start: 0.12, duration: 0.12, type: 'triangle', volume: 0.45 },
+        { freq: 784, start: 0.24, duration: 0.12, type: 'triangle', volume: 0.45 },
+        { freq: 1047, start: 0.36, duration: 0.4, type: 'triangle', volume: 0.5 }
+    ]
+};
+const SOUND_CHANNELS = ['master', 'sfx', 'music'];
+const DEFAULT_AUDIO_SETTINGS = { master: 0.8, sfx: 0.8, music: 0.4, muted: false };
+// Background loop: one note per beat (0 rests), with a bass note every bar of four
+const MUSIC_MELODY = [523, 659, 784, 659, 587, 698, 880, 698, 523, 659, 784, 1047, 988, 784, 587, 0];
+const MUSIC_BASS = [131, 175, 131, 196];
+const MUSIC_BEAT = 0.3;       // Seconds per melody note
+const MUSIC_LOOKAHEAD = 1.2;  // Seconds of music scheduled ahead of the audio clock
 
 // Tile Types
 const TILE_TYPES = {
@@ -30,13 +308,16 @@ const TILE_TYPES = {
     GROUND: 'ground',         // Normal walkable ground
     OBSTACLE: 'obstacle',     // Impassable wall
     COLOR_CHANGE: 'colorChange', // Changes player's color
+    COLOR_MIX: 'colorMix',    // Mixes a primary into player's color
+    WASH: 'wash',             // Washes a mixed color back to its primary
     START: 'start',           // Player spawn point
     GOAL: 'goal',             // Level completion point
     MATH_GATE: 'mathGate',    // Math puzzle gate
     KEY: 'key',               // Collectible key
     DOOR: 'door',             // Locked door (requires key)
     TELEPORT: 'teleport',     // Teleporter
-    FRAGILE: 'fragile'        // One-time-use tile
+    FRAGILE: 'fragile',       // One-time-use tile
+    CHECKPOINT: 'checkpoint'  // Saves the game state; lost lives respawn here
 };
 
 // Colors
@@ -44,24 +325,40 @@ const COLORS = {
     RED: 'red',
     BLUE: 'blue',
     YELLOW: 'yellow',
+    PURPLE: 'purple', // Red + blue
+    GREEN: 'green',   // Blue + yellow
+    ORANGE: 'orange', // Red + yellow
     NEUTRAL: 'neutral' // Safe for all player colors
 };
 
+// What a mixer tile of each primary turns a primary player color into.
+// Mixed colors don't mix any further: a wash tile takes them back first.
+const COLOR_MIXES = {
+    red: { blue: 'purple', yellow: 'orange' },
+    blue: { red: 'purple', yellow: 'green' },
+    yellow: { red: 'orange', blue: 'green' }
+};
+
 // Visual color mappings for rendering
 const COLOR_VALUES = {
     red: '#e74c3c',
     blue: '#3498db',
     yellow: '#f1c40f',
+    purple: '#8e44ad',
+    green: '#6ab04c',
+    orange: '#d35400',
     neutral: '#95a5a6',
     obstacle: '#2c3e50',
     empty: '#1a1a1a',
+    wash: '#bdc3c7',
     start: '#27ae60',
     goal: '#2ecc71',
     mathGate: '#9b59b6',
     key: '#f39c12',
     door: '#34495e',
     teleport: '#1abc9c',
-    fragile: '#e67e22'
+    fragile: '#e67e22',
+    checkpoint: '#5d6d7e'
 };
 
 // ============================================
@@ -78,10 +375,25 @@ const COLOR_VALUES = {
  * - startPos: {x, y} - Player starting position
  * - goalPos: {x, y} - Goal position to reach
  * - grid: 2D array of tile objects
+ * - targetMoves: Move count for a 3-star rating, or 'auto' to use the
+ *   optimal move count found by LevelSolver
+ * - maxMoves: (optional) Moves allowed; using the last one short of the goal
+ *   ends the run
+ * - timeLimit: (optional) Seconds allowed; the HUD timer counts down to zero
+ * - teleports: (optional) [{from: {x, y}, to: {x, y}}] - Teleporter links.
+ *   `from` must be a 'T' tile. If `to` is also a 'T' tile the pair works in
+ *   both directions.
+ * - teleportCost: (optional) Extra moves per teleport (default TELEPORT_MOVE_COST)
+ * - mathGates: (optional) [{x, y, question, answer}] for 'MG' tiles. Leave out
+ *   question and answer (optionally giving `difficulty`, one of MATH_DIFFICULTY)
+ *   to have MathPuzzleGenerator make one; 'MG' tiles with no entry at all are
+ *   generated too.
+ * - mathDifficulty: (optional) Default difficulty for generated gates (EASY)
+ * - seed: (optional) Changes the generated questions (default: the level name)
  *
  * Each tile object has:
  * - type: One of TILE_TYPES
- * - color: One of COLORS (only applies to GROUND and COLOR_CHANGE types)
+ * - color: One of COLORS (only applies to GROUND, COLOR_CHANGE and COLOR_MIX types)
  *
  * HOW TO ADD MORE LEVELS:
  * 1. Copy the existing level object below
@@ -103,6 +415,16 @@ const COLOR_VALUES = {
  * };
  *
  * Then add to array: const LEVELS = [LEVEL_1, LEVEL_2];
+ *
+ * Levels can also be shipped without touching this file, as a level pack
+ * (JSON) imported from the welcome screen:
+ *
+ * {
+ *     "format": "color-path-level-pack",
+ *     "version": 1,
+ *     "meta": { "name": "...", "author": "...", "description": "..." },
+ *     "levels": [ { "name": ..., "width": ..., "grid": [...], ... } ]
+ * }
  */
 
 const LEVEL_1 = {
@@ -127,6 +449,7 @@ const LEVEL_1 = {
      * CB = Blue color changer
      * CY = Yellow color changer
      * F = Fragile tile (one-time use)
+     * T = Teleporter (linked via the level's `teleports` array)
      *
      * Strategy Required: This maze requires careful color planning!
      * You must think ahead about which colors to use and when to switch.
@@ -361,6 +684,36 @@ const LEVELS = [LEVEL_1, LEVEL_2, LEVEL_3, LEVEL_4, LEVEL_5];
 // HELPER FUNCTIONS
 // ============================================
 
+/**
+ * Every tile code parseTile() understands (keep the two in sync)
+ */
+const TILE_CODES = {
+    O: 'Obstacle',
+    E: 'Empty (pit)',
+    S: 'Start',
+    G: 'Goal',
+    N: 'Neutral ground',
+    R: 'Red ground',
+    B: 'Blue ground',
+    Y: 'Yellow ground',
+    PU: 'Purple ground',
+    GN: 'Green ground',
+    OR: 'Orange ground',
+    CR: 'Red color changer',
+    CB: 'Blue color changer',
+    CY: 'Yellow color changer',
+    '+R': 'Red mixer',
+    '+B': 'Blue mixer',
+    '+Y': 'Yellow mixer',
+    W: 'Wash',
+    MG: 'Math gate',
+    K: 'Key',
+    D: 'Door',
+    F: 'Fragile tile',
+    T: 'Teleporter',
+    CP: 'Checkpoint'
+};
+
 /**
  * Parses a grid string representation into a tile object
  */
@@ -400,6 +753,15 @@ function parseTile(tileStr) {
     if (tileStr === 'Y') {
         return { type: TILE_TYPES.GROUND, color: COLORS.YELLOW };
     }
+    if (tileStr === 'PU') {
+        return { type: TILE_TYPES.GROUND, color: COLORS.PURPLE };
+    }
+    if (tileStr === 'GN') {
+        return { type: TILE_TYPES.GROUND, color: COLORS.GREEN };
+    }
+    if (tileStr === 'OR') {
+        return { type: TILE_TYPES.GROUND, color: COLORS.ORANGE };
+    }
 
     // Color changers
     if (tileStr === 'CR') {
@@ -412,6 +774,22 @@ function parseTile(tileStr) {
         return { type: TILE_TYPES.COLOR_CHANGE, color: COLORS.YELLOW };
     }
 
+    // Color mixers
+    if (tileStr === '+R') {
+        return { type: TILE_TYPES.COLOR_MIX, color: COLORS.RED };
+    }
+    if (tileStr === '+B') {
+        return { type: TILE_TYPES.COLOR_MIX, color: COLORS.BLUE };
+    }
+    if (tileStr === '+Y') {
+        return { type: TILE_TYPES.COLOR_MIX, color: COLORS.YELLOW };
+    }
+
+    // Wash
+    if (tileStr === 'W') {
+        return { type: TILE_TYPES.WASH, color: COLORS.NEUTRAL };
+    }
+
     // Math gates
     if (tileStr === 'MG') {
         return { type: TILE_TYPES.MATH_GATE, color: COLORS.NEUTRAL, locked: true };
@@ -432,10 +810,170 @@ function parseTile(tileStr) {
         return { type: TILE_TYPES.FRAGILE, color: COLORS.NEUTRAL, used: false };
     }
 
+    // Teleporters (destination is linked by LevelManager from `teleports`)
+    if (tileStr === 'T') {
+        return { type: TILE_TYPES.TELEPORT, color: COLORS.NEUTRAL, target: null };
+    }
+
+    // Checkpoints
+    if (tileStr === 'CP') {
+        return { type: TILE_TYPES.CHECKPOINT, color: COLORS.NEUTRAL, reached: false };
+    }
+
     // Default to neutral ground
     return { type: TILE_TYPES.GROUND, color: COLORS.NEUTRAL };
 }
 
+/**
+ * Mixes a primary color into a player color (see COLOR_MIXES)
+ * @returns {string} The mixed color, or `color` unchanged if they don't mix
+ */
+function mixColors(color, added) {
+    const mixes = COLOR_MIXES[color];
+    return (mixes && mixes[added]) || color;
+}
+
+/**
+ * Gets the two primaries a mixed color is made of
+ * @returns {Array|null} [primary, primary], or null for a color that isn't mixed
+ */
+function getColorParts(color) {
+    const parts = Object.keys(COLOR_MIXES).filter(primary =>
+        Object.values(COLOR_MIXES[primary]).includes(color));
+    return parts.length === 2 ? parts : null;
+}
+
+/**
+ * Hashes a string into a 32-bit seed (FNV-1a)
+ */
+function hashSeed(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Creates a seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Returns a float in [0, 1) on each call, like Math.random
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// ============================================
+// MATH PUZZLE GENERATOR
+// ============================================
+
+/**
+ * MathPuzzleGenerator - Seeded math questions for math gates
+ *
+ * Difficulty tiers (MATH_DIFFICULTY):
+ * - EASY: addition and subtraction up to 20
+ * - MEDIUM: times tables, exact division, two-digit addition/subtraction
+ * - HARD: mixed operations that need the order of operations
+ *
+ * Answers are always non-negative integers. The same seed always gives the
+ * same questions, so generated gates stay put between loads and replays.
+ */
+class MathPuzzleGenerator {
+    constructor(seed) {
+        this.random = createSeededRandom(seed);
+    }
+
+    /**
+     * Random integer between min and max (inclusive)
+     */
+    randomInt(min, max) {
+        return min + Math.floor(this.random() * (max - min + 1));
+    }
+
+    /**
+     * Generates a question
+     * @param {number} difficulty - One of MATH_DIFFICULTY
+     * @returns {Object} { question, answer }
+     */
+    generate(difficulty = MATH_DIFFICULTY.EASY) {
+        switch (difficulty) {
+            case MATH_DIFFICULTY.HARD:
+                return this.generateHard();
+            case MATH_DIFFICULTY.MEDIUM:
+                return this.generateMedium();
+            default:
+                return this.generateEasy();
+        }
+    }
+
+    /**
+     * Addition or subtraction of two numbers up to 20 (never negative)
+     */
+    generateEasy() {
+        const a = this.randomInt(1, 20);
+        const b = this.randomInt(1, 20);
+        if (this.random() < 0.5) {
+            return { question: `${a} + ${b}`, answer: a + b };
+        }
+        const [big, small] = a >= b ? [a, b] : [b, a];
+        return { question: `${big} − ${small}`, answer: big - small };
+    }
+
+    /**
+     * A times-table product, an exact division, or two-digit addition/subtraction
+     */
+    generateMedium() {
+        const a = this.randomInt(2, 12);
+        const b = this.randomInt(2, 12);
+        switch (this.randomInt(0, 2)) {
+            case 0:
+                return { question: `${a} × ${b}`, answer: a * b };
+            case 1:
+                return { question: `${a * b} ÷ ${b}`, answer: a };
+            default: {
+                const x = this.randomInt(10, 99);
+                const y = this.randomInt(10, 99);
+                return this.random() < 0.5 ?
+                    { question: `${x} + ${y}`, answer: x + y } :
+                    { question: `${Math.max(x, y)} − ${Math.min(x, y)}`, answer: Math.abs(x - y) };
+            }
+        }
+    }
+
+    /**
+     * Mixed operations whose answer depends on the order of operations
+     */
+    generateHard() {
+        const a = this.randomInt(2, 12);
+        const b = this.randomInt(2, 9);
+        const c = this.randomInt(2, 9);
+        switch (this.randomInt(0, 4)) {
+            case 0:
+                return { question: `${a} + ${b} × ${c}`, answer: a + b * c };
+            case 1: {
+                const d = this.randomInt(1, a * b - 1);
+                return { question: `${a} × ${b} − ${d}`, answer: a * b - d };
+            }
+            case 2:
+                return { question: `(${a} + ${b}) × ${c}`, answer: (a + b) * c };
+            case 3:
+                return { question: `${a * b} ÷ ${b} + ${c}`, answer: a + c };
+            default: {
+                const e = b * c + this.randomInt(0, 20);
+                return { question: `${e} − ${b} × ${c}`, answer: e - b * c };
+            }
+        }
+    }
+}
+
 // ============================================
 // PLAYER CLASS
 // ============================================
@@ -444,16 +982,22 @@ function parseTile(tileStr) {
  * Player - Manages player state and position
  */
 class Player {
-    constructor(startX, startY, initialColor = COLORS.RED) {
+    /**
+     * @param {number} lives - Deaths the run survives (see PLAYER_LIVES)
+     */
+    constructor(startX, startY, initialColor = COLORS.RED, lives = PLAYER_LIVES) {
         this.startX = startX;
         this.startY = startY;
         this.x = startX;
         this.y = startY;
         this.color = initialColor;
+        this.baseColor = initialColor; // The primary the color was mixed from
         this.initialColor = initialColor;
         this.keys = 0;
         this.moveCount = 0;
         this.moveHistory = []; // For undo feature
+        this.lives = lives; // Not part of snapshots: undo doesn't give lives back
+        this.maxLives = lives;
     }
 
     /**
@@ -461,12 +1005,7 @@ class Player {
      */
     moveTo(x, y) {
         // Save state for undo
-        this.moveHistory.push({
-            x: this.x,
-            y: this.y,
-            color: this.color,
-            keys: this.keys
-        });
+        this.moveHistory.push(this.getSnapshot());
 
         this.x = x;
         this.y = y;
@@ -474,26 +1013,80 @@ class Player {
     }
 
     /**
-     * Undo the last move
+     * Relocates the player as part of the current move (no new undo entry)
+     * @param {number} cost - Extra moves charged for the jump
+     */
+    teleportTo(x, y, cost = 0) {
+        this.x = x;
+        this.y = y;
+        this.moveCount += cost;
+    }
+
+    /**
+     * Undo the last move (player state only; the game uses HistorySystem,
+     * which reverts tile changes too)
      */
     undo() {
         if (this.moveHistory.length > 0) {
-            const lastState = this.moveHistory.pop();
-            this.x = lastState.x;
-            this.y = lastState.y;
-            this.color = lastState.color;
-            this.keys = lastState.keys;
-            this.moveCount = Math.max(0, this.moveCount - 1);
+            this.restoreSnapshot(this.moveHistory.pop());
             return true;
         }
         return false;
     }
 
+    /**
+     * Gets a copy of the state that undo and redo restore
+     */
+    getSnapshot() {
+        return {
+            x: this.x,
+            y: this.y,
+            color: this.color,
+            baseColor: this.baseColor,
+            keys: this.keys,
+            moveCount: this.moveCount
+        };
+    }
+
+    /**
+     * Restores a state from getSnapshot()
+     */
+    restoreSnapshot(snapshot) {
+        this.x = snapshot.x;
+        this.y = snapshot.y;
+        this.color = snapshot.color;
+        this.baseColor = snapshot.baseColor;
+        this.keys = snapshot.keys;
+        this.moveCount = snapshot.moveCount;
+    }
+
     /**
      * Changes the player's color
      */
     setColor(color) {
         this.color = color;
+        this.baseColor = color;
+    }
+
+    /**
+     * Mixes a primary into the player's color
+     * @returns {boolean} True if the color changed
+     */
+    mixColor(added) {
+        const mixed = mixColors(this.color, added);
+        if (mixed === this.color) return false;
+        this.color = mixed;
+        return true;
+    }
+
+    /**
+     * Washes a mixed color back to the primary it was mixed from
+     * @returns {boolean} True if the color changed
+     */
+    washColor() {
+        if (this.color === this.baseColor) return false;
+        this.color = this.baseColor;
+        return true;
     }
 
     /**
@@ -529,15 +1122,33 @@ class Player {
     }
 
     /**
-     * Resets player to starting position and color
+     * Loses a life
+     * @returns {number} Lives left
+     */
+    loseLife() {
+        this.lives = Math.max(0, this.lives - 1);
+        return this.lives;
+    }
+
+    /**
+     * Gets the number of lives left
+     */
+    getLives() {
+        return this.lives;
+    }
+
+    /**
+     * Resets player to starting position and color, with full lives
      */
     reset() {
         this.x = this.startX;
         this.y = this.startY;
         this.color = this.initialColor;
+        this.baseColor = this.initialColor;
         this.keys = 0;
         this.moveCount = 0;
         this.moveHistory = [];
+        this.lives = this.maxLives;
     }
 
     /**
@@ -556,1061 +1167,6618 @@ class Player {
 }
 
 // ============================================
-// LEVEL MANAGER CLASS
+// HISTORY SYSTEM
 // ============================================
 
 /**
- * LevelManager - Handles level loading and tile queries
+ * HistorySystem - Full-state undo and redo
  *
- * This class is responsible for:
- * - Loading level configurations
- * - Providing tile information
- * - Managing level transitions (for future multi-level support)
+ * Each move is one entry holding the player's state before and after it,
+ * plus before/after copies of every tile the move changed (fragile tiles
+ * used, keys collected, doors and math gates unlocked) and of the world
+ * clock that moves hazards. Undo restores the "before" side, redo the
+ * "after" side, so either returns the game to exactly the state it was in.
+ *
+ * Tiles must be recorded with recordTile() before they are changed.
  */
-class LevelManager {
+class HistorySystem {
     constructor() {
-        this.currentLevelIndex = 0;
-        this.currentLevel = null;
-        this.grid = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pending = null; // Entry being built for the move in progress
     }
 
     /**
-     * Loads a level from the LEVELS array
-     * @param {number} levelIndex - Index of the level to load
+     * Forgets all history (level start or restart)
      */
-    loadLevel(levelIndex) {
-        if (levelIndex < 0 || levelIndex >= LEVELS.length) {
-            console.error('Invalid level index:', levelIndex);
-            return false;
-        }
-
-        const levelConfig = LEVELS[levelIndex];
-        this.currentLevelIndex = levelIndex;
-        this.currentLevel = levelConfig;
-
-        // Parse the grid from string representation to tile objects
-        this.grid = [];
-        for (let y = 0; y < levelConfig.height; y++) {
-            this.grid[y] = [];
-            for (let x = 0; x < levelConfig.width; x++) {
-                const tileStr = levelConfig.grid[y][x];
-                this.grid[y][x] = parseTile(tileStr);
-            }
-        }
-
-        // Set up math gates if present
-        if (levelConfig.mathGates) {
-            levelConfig.mathGates.forEach(gate => {
-                const tile = this.getTile(gate.x, gate.y);
-                if (tile && tile.type === TILE_TYPES.MATH_GATE) {
-                    tile.question = gate.question;
-                    tile.answer = gate.answer;
-                }
-            });
-        }
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pending = null;
+    }
 
-        return true;
+    /**
+     * Starts recording a move
+     * @param {LevelManager} [levelManager] - Also records the world clock (hazards)
+     */
+    beginMove(player, levelManager = null) {
+        this.pending = {
+            playerBefore: player.getSnapshot(),
+            worldBefore: levelManager ? levelManager.getWorldSnapshot() : null,
+            tiles: []
+        };
     }
 
     /**
-     * Gets the target moves for star rating
+     * Records a tile's state before the current move changes it
      */
-    getTargetMoves() {
-        return this.currentLevel.targetMoves || 999;
+    recordTile(x, y, tile) {
+        if (!this.pending || this.pending.tiles.some(change => change.x === x && change.y === y)) return;
+        this.pending.tiles.push({ x, y, before: Object.assign({}, tile), after: null });
     }
 
     /**
-     * Calculates star rating based on moves
-     * 3 stars: <= target moves
-     * 2 stars: <= target moves * 1.3
-     * 1 star: > target moves * 1.3
+     * Finishes the current move and makes it undoable. A new move
+     * discards anything that could have been redone.
      */
-    calculateStars(moveCount) {
-        const target = this.getTargetMoves();
-        if (moveCount <= target) {
-            return 3;
-        } else if (moveCount <= target * 1.3) {
-            return 2;
-        } else {
-            return 1;
+    commitMove(player, levelManager) {
+        if (!this.pending) return;
+        const entry = this.pending;
+        entry.playerAfter = player.getSnapshot();
+        if (entry.worldBefore) {
+            entry.worldAfter = levelManager.getWorldSnapshot();
         }
+        entry.tiles.forEach(change => {
+            change.after = Object.assign({}, levelManager.getTile(change.x, change.y));
+        });
+
+        this.undoStack.push(entry);
+        this.redoStack = [];
+        this.pending = null;
     }
 
     /**
-     * Gets the tile at a specific position
+     * Abandons the move in progress, putting the player and tiles back
      */
-    getTile(x, y) {
-        if (x < 0 || x >= this.currentLevel.width ||
-            y < 0 || y >= this.currentLevel.height) {
-            return null;
-        }
-        return this.grid[y][x];
+    cancelMove(player, levelManager) {
+        if (!this.pending) return;
+        this.apply(this.pending, 'before', player, levelManager);
+        this.pending = null;
     }
 
     /**
-     * Checks if a position is walkable (not obstacle, not out of bounds)
+     * Checks if there is a move to undo
      */
-    isWalkable(x, y) {
-        const tile = this.getTile(x, y);
-        if (!tile) return false;
-        return tile.type !== TILE_TYPES.OBSTACLE;
+    canUndo() {
+        return this.undoStack.length > 0;
     }
 
     /**
-     * Gets the starting position for the current level
+     * Checks if there is a move to redo
      */
-    getStartPosition() {
-        return this.currentLevel.startPos;
+    canRedo() {
+        return this.redoStack.length > 0;
     }
 
     /**
-     * Gets the goal position for the current level
+     * Reverts the last move
+     * @returns {boolean} False if there was nothing to undo
      */
-    getGoalPosition() {
-        return this.currentLevel.goalPos;
+    undo(player, levelManager) {
+        const entry = this.undoStack.pop();
+        if (!entry) return false;
+        this.apply(entry, 'before', player, levelManager);
+        this.redoStack.push(entry);
+        return true;
     }
 
     /**
-     * Gets the dimensions of the current level
+     * Reverts the last move for good: unlike undo() it can't be redone
+     * (casual mode takes back a fatal move this way)
+     * @returns {boolean} False if there was no move to revert
      */
-    getDimensions() {
-        return {
-            width: this.currentLevel.width,
-            height: this.currentLevel.height
-        };
+    rewind(player, levelManager) {
+        const entry = this.undoStack.pop();
+        if (!entry) return false;
+        this.apply(entry, 'before', player, levelManager);
+        return true;
     }
 
     /**
-     * Gets the current level name
+     * Gets a copy of the undo history (checkpoints save it, so moves made
+     * before a checkpoint can still be undone after respawning there)
      */
-    getLevelName() {
-        return this.currentLevel.name;
+    getSnapshot() {
+        return this.undoStack.slice();
     }
 
     /**
-     * Checks if there are more levels available
-     * (For future multi-level support)
+     * Puts the undo history back to a getSnapshot() copy, dropping any redo
      */
-    hasNextLevel() {
-        return this.currentLevelIndex + 1 < LEVELS.length;
+    restoreSnapshot(snapshot) {
+        this.undoStack = snapshot.slice();
+        this.redoStack = [];
+        this.pending = null;
     }
 
     /**
-     * Advances to the next level
-     * (For future multi-level support)
-     *
-     * TO IMPLEMENT LEVEL PROGRESSION:
-     * After completing a level, call: levelManager.goToNextLevel()
-     * Then restart the game with the new level
+     * Re-applies the last undone move
+     * @returns {boolean} False if there was nothing to redo
      */
-    goToNextLevel() {
-        if (this.hasNextLevel()) {
-            this.loadLevel(this.currentLevelIndex + 1);
-            return true;
+    redo(player, levelManager) {
+        const entry = this.redoStack.pop();
+        if (!entry) return false;
+        this.apply(entry, 'after', player, levelManager);
+        this.undoStack.push(entry);
+        return true;
+    }
+
+    /**
+     * Restores one side ('before' or 'after') of an entry
+     */
+    apply(entry, side, player, levelManager) {
+        entry.tiles.forEach(change => {
+            Object.assign(levelManager.getTile(change.x, change.y), change[side]);
+        });
+        player.restoreSnapshot(side === 'before' ? entry.playerBefore : entry.playerAfter);
+        // Last, so hazard state overrides anything the tile copies brought back
+        if (entry.worldBefore) {
+            levelManager.restoreWorld(side === 'before' ? entry.worldBefore : entry.worldAfter);
         }
-        return false;
     }
 }
 
 // ============================================
-// TIMER SYSTEM
+// HAZARD SYSTEM
 // ============================================
 
 /**
- * TimerSystem - Manages game timing
+ * HazardSystem - Patrolling obstacles, color-cycling tiles and timed gates
+ *
+ * Hazards come from a level's `hazards` array and run on a world clock with
+ * two counters: `moves` ticks once per player move, `time` once every
+ * HAZARD_TIME_TICK seconds of level time. Each hazard follows one of them
+ * (`clock`, default 'moves') and steps once every `every` ticks.
+ *
+ * A hazard's state is a pure function of its clock, so the clock is all
+ * there is to save: undo restores the moves counter and apply() writes the
+ * matching state back into the grid (tile.patrol, tile.closed, and the color
+ * of cycling tiles). The time clock follows the level timer and isn't rewound.
+ *
+ * Hazard formats (x/y and path entries are grid positions):
+ * - { type: 'patrol', path: [{x, y}, ...], every, loop, offset, clock }:
+ *   walks the path one cell per step, then back (or round again with loop)
+ * - { type: 'colorCycle', x, y, colors: [...], every, offset, clock }:
+ *   a ground tile that takes the next color each step
+ * - { type: 'timedGate', x, y, open, closed, offset, clock }:
+ *   open for `open` ticks, then closed (solid) for `closed` ticks
  */
-class TimerSystem {
-    constructor() {
-        this.startTime = null;
-        this.elapsedTime = 0;
-        this.running = false;
+class HazardSystem {
+    /**
+     * @param {Array} definitions - The level's `hazards` entries
+     */
+    constructor(definitions = []) {
+        this.hazards = (definitions || []).map(hazard => Object.assign({
+            every: 1,
+            offset: 0,
+            clock: HAZARD_CLOCKS.MOVES
+        }, hazard));
+        this.clock = { moves: 0, time: 0 };
     }
 
     /**
-     * Starts the timer
+     * Checks if the level has any hazards
      */
-    start() {
-        this.startTime = performance.now();
-        this.running = true;
+    hasHazards() {
+        return this.hazards.length > 0;
     }
 
     /**
-     * Stops the timer and returns elapsed time
+     * Checks if any hazard runs on the time clock
      */
-    stop() {
-        if (this.running) {
-            this.elapsedTime = (performance.now() - this.startTime) / 1000;
-            this.running = false;
-        }
-        return this.elapsedTime;
+    hasTimedHazards() {
+        return this.hazards.some(hazard => hazard.clock === HAZARD_CLOCKS.TIME);
     }
 
     /**
-     * Resets the timer
+     * Advances one of the clocks by a tick
+     * @param {string} clock - A HAZARD_CLOCKS value
      */
-    reset() {
-        this.startTime = null;
-        this.elapsedTime = 0;
-        this.running = false;
+    advance(clock) {
+        this.clock[clock]++;
     }
 
     /**
-     * Gets the current elapsed time
+     * Gets how many steps a hazard has taken
      */
-    getElapsedTime() {
-        if (this.running) {
-            return (performance.now() - this.startTime) / 1000;
-        }
-        return this.elapsedTime;
+    getStep(hazard, clock) {
+        return Math.floor((clock[hazard.clock] + hazard.offset) / hazard.every);
     }
 
     /**
-     * Formats time for display
+     * Gets where a patrol is
      */
-    formatTime(seconds) {
-        return seconds.toFixed(2) + 's';
+    getPatrolPosition(hazard, clock = this.clock) {
+        const length = hazard.path.length;
+        const step = this.getStep(hazard, clock);
+        if (hazard.loop || length < 2) {
+            return hazard.path[step % length];
+        }
+        // There and back: 0, 1, ..., n-1, n-2, ..., 1
+        const round = step % (2 * length - 2);
+        return hazard.path[round < length ? round : 2 * length - 2 - round];
     }
-}
-
-// ============================================
-// LEADERBOARD SYSTEM
-// ============================================
 
-/**
- * LeaderboardSystem - Manages high scores with localStorage
- */
-class LeaderboardSystem {
-    constructor() {
-        this.storageKey = 'colorPathHighScores';
-        this.maxEntries = 10;
+    /**
+     * Checks if a patrol is on (x, y)
+     */
+    isPatrolled(x, y, clock = this.clock) {
+        return this.hazards.some(hazard => {
+            if (hazard.type !== HAZARD_TYPES.PATROL) return false;
+            const pos = this.getPatrolPosition(hazard, clock);
+            return pos.x === x && pos.y === y;
+        });
     }
 
     /**
-     * Loads scores from localStorage
+     * Checks if a timed gate on (x, y) is closed
      */
-    loadScores() {
-        try {
-            const data = localStorage.getItem(this.storageKey);
-            return data ? JSON.parse(data) : [];
-        } catch (error) {
-            console.error('Error loading scores:', error);
-            return [];
-        }
+    isClosed(x, y, clock = this.clock) {
+        return this.hazards.some(hazard => hazard.type === HAZARD_TYPES.TIMED_GATE &&
+            hazard.x === x && hazard.y === y &&
+            (clock[hazard.clock] + hazard.offset) % (hazard.open + hazard.closed) >= hazard.open);
     }
 
     /**
-     * Saves scores to localStorage
+     * Gets the color of a cycling tile, or null if (x, y) doesn't cycle
      */
-    saveScores(scores) {
-        try {
-            localStorage.setItem(this.storageKey, JSON.stringify(scores));
-        } catch (error) {
-            console.error('Error saving scores:', error);
-        }
+    getColor(x, y, clock = this.clock) {
+        const hazard = this.hazards.find(entry => entry.type === HAZARD_TYPES.COLOR_CYCLE &&
+            entry.x === x && entry.y === y);
+        return hazard ? hazard.colors[this.getStep(hazard, clock) % hazard.colors.length] : null;
     }
 
     /**
-     * Adds a new score to the leaderboard
-     * @returns {number} The rank of the new score (1-10), or -1 if not in top 10
+     * Checks whether hazards kill a player standing on (x, y): a patrol
+     * arrived, a gate closed, or the ground turned a color they can't stand on
+     * @returns {string|null} Why the player died, or null if they are safe
      */
-    addScore(playerName, time) {
-        const scores = this.loadScores();
-
-        const newEntry = {
-            name: playerName || 'Anonymous',
-            time: time,
-            date: new Date().toISOString()
-        };
-
-        scores.push(newEntry);
-
-        // Sort by time (ascending - lower is better)
-        scores.sort((a, b) => a.time - b.time);
-
-        // Keep only top 10
-        const trimmedScores = scores.slice(0, this.maxEntries);
-        this.saveScores(trimmedScores);
-
-        // Find rank of the new entry
-        const rank = trimmedScores.findIndex(entry =>
-            entry.name === newEntry.name &&
-            entry.time === newEntry.time &&
-            entry.date === newEntry.date
-        );
-
-        return rank >= 0 ? rank + 1 : -1;
+    getDeathReason(x, y, color, clock = this.clock) {
+        if (this.isPatrolled(x, y, clock)) {
+            return 'A patrolling obstacle ran into you!';
+        }
+        if (this.isClosed(x, y, clock)) {
+            return 'The gate closed on you!';
+        }
+        const ground = this.getColor(x, y, clock);
+        if (ground && ground !== color && ground !== COLORS.NEUTRAL) {
+            return `The ground turned ${ground} under you!`;
+        }
+        return null;
     }
 
     /**
-     * Gets the top scores
+     * Gets how many moves it takes for every move-clock hazard to be back
+     * where it started (the solver counts moves modulo this)
      */
-    getTopScores() {
-        return this.loadScores();
+    getCycleLength() {
+        const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+        return this.hazards.reduce((length, hazard) => {
+            if (hazard.clock !== HAZARD_CLOCKS.MOVES) return length;
+            let period;
+            if (hazard.type === HAZARD_TYPES.PATROL) {
+                const count = hazard.path.length;
+                period = hazard.every * (hazard.loop || count < 2 ? count : 2 * count - 2);
+            } else if (hazard.type === HAZARD_TYPES.COLOR_CYCLE) {
+                period = hazard.every * hazard.colors.length;
+            } else {
+                period = hazard.open + hazard.closed;
+            }
+            return length / gcd(length, period) * period;
+        }, 1);
     }
 
     /**
-     * Clears all scores (for testing)
+     * Writes the hazards' current state into the level's tiles, so the
+     * renderer, isWalkable() and tile rules see it
      */
-    clearScores() {
-        localStorage.removeItem(this.storageKey);
+    apply(levelManager) {
+        const tileAt = pos => levelManager.getTile(pos.x, pos.y);
+
+        // Clear every patrolled cell first: two patrols may share a path
+        this.hazards.forEach(hazard => {
+            if (hazard.type === HAZARD_TYPES.PATROL) {
+                hazard.path.forEach(pos => {
+                    tileAt(pos).patrol = false;
+                });
+            }
+        });
+
+        this.hazards.forEach(hazard => {
+            switch (hazard.type) {
+                case HAZARD_TYPES.PATROL:
+                    tileAt(this.getPatrolPosition(hazard)).patrol = true;
+                    break;
+                case HAZARD_TYPES.COLOR_CYCLE: {
+                    const tile = tileAt(hazard);
+                    tile.cycling = true;
+                    tile.color = this.getColor(hazard.x, hazard.y);
+                    break;
+                }
+                case HAZARD_TYPES.TIMED_GATE: {
+                    const tile = tileAt(hazard);
+                    tile.timed = true;
+                    tile.closed = this.isClosed(hazard.x, hazard.y);
+                    break;
+                }
+            }
+        });
     }
 }
 
 // ============================================
-// RENDERER
+// LEVEL MANAGER CLASS
 // ============================================
 
 /**
- * Renderer - Handles all canvas drawing operations
+ * LevelManager - Handles level loading and tile queries
+ *
+ * This class is responsible for:
+ * - Loading level configurations
+ * - Providing tile information
+ * - Managing level transitions (for future multi-level support)
  */
-class Renderer {
-    constructor(canvas) {
-        this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
-    }
-
+class LevelManager {
     /**
-     * Initializes the canvas size based on level dimensions
+     * @param {Object} options - { useSolverTargets: rate every level against its solver-computed optimum }
      */
-    initCanvas(width, height) {
-        this.canvas.width = width * TILE_SIZE;
-        this.canvas.height = height * TILE_SIZE;
+    constructor(options = {}) {
+        this.currentLevelIndex = 0;
+        this.currentLevel = null;
+        this.grid = null;
+        this.useSolverTargets = options.useSolverTargets || false;
+        this.solution = null; // LevelSolver result for the level's start state
+        this.validation = null; // LevelValidator result for the loaded level
+        this.hazards = new HazardSystem(); // The loaded level's hazards and world clock
+        this.packMeta = Object.assign({}, DEFAULT_PACK_META);
     }
 
     /**
-     * Clears the entire canvas
+     * Loads a level from the LEVELS array
+     * @param {number} levelIndex - Index of the level to load
      */
-    clear() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    }
+    loadLevel(levelIndex) {
+        if (levelIndex < 0 || levelIndex >= LEVELS.length) {
+            console.error('Invalid level index:', levelIndex);
+            return false;
+        }
 
-    /**
-     * Draws the entire game state
-     */
-    draw(levelManager, player) {
-        this.clear();
-        this.drawGrid(levelManager);
-        this.drawPlayer(player);
+        return this.loadLevelConfig(LEVELS[levelIndex], levelIndex);
     }
 
     /**
-     * Draws all tiles in the grid
+     * Loads a level config directly, e.g. an unsaved level from the editor
+     * @param {Object} levelConfig - Level config in the LEVELS format
+     * @param {number|null} levelIndex - Its index in LEVELS, or null for a custom level
      */
-    drawGrid(levelManager) {
-        const { width, height } = levelManager.getDimensions();
+    loadLevelConfig(levelConfig, levelIndex = null) {
+        const label = levelIndex === null ? 'Custom level' : `Level ${levelIndex + 1}`;
 
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const tile = levelManager.getTile(x, y);
-                this.drawTile(x, y, tile);
-            }
+        // Refuse levels with structural errors rather than half-loading them
+        this.validation = new LevelValidator().validate(levelConfig);
+        this.validation.warnings.forEach(warning => {
+            console.warn(`${label} (${levelConfig.name}): ${warning.message}`);
+        });
+        if (!this.validation.valid) {
+            this.validation.errors.forEach(error => {
+                console.error(`${label} (${levelConfig.name}): ${error.message}`);
+            });
+            return false;
         }
-    }
 
-    /**
-     * Draws a single tile with enhanced visuals
-     */
-    drawTile(x, y, tile) {
-        const pixelX = x * TILE_SIZE;
-        const pixelY = y * TILE_SIZE;
-
-        // Determine fill color
-        let fillColor;
+        this.currentLevelIndex = levelIndex;
+        this.currentLevel = levelConfig;
 
-        switch (tile.type) {
-            case TILE_TYPES.EMPTY:
-                fillColor = COLOR_VALUES.empty;
-                break;
-            case TILE_TYPES.OBSTACLE:
-                fillColor = COLOR_VALUES.obstacle;
-                break;
-            case TILE_TYPES.START:
-                fillColor = COLOR_VALUES.start;
-                break;
-            case TILE_TYPES.GOAL:
-                fillColor = COLOR_VALUES.goal;
-                break;
-            case TILE_TYPES.MATH_GATE:
-                fillColor = tile.locked ? COLOR_VALUES.mathGate : COLOR_VALUES.neutral;
-                break;
-            case TILE_TYPES.KEY:
-                fillColor = tile.collected ? COLOR_VALUES.neutral : COLOR_VALUES.key;
-                break;
-            case TILE_TYPES.DOOR:
-                fillColor = tile.locked ? COLOR_VALUES.door : COLOR_VALUES.neutral;
-                break;
-            case TILE_TYPES.FRAGILE:
-                fillColor = tile.used ? COLOR_VALUES.empty : COLOR_VALUES.fragile;
-                break;
-            case TILE_TYPES.COLOR_CHANGE:
-            case TILE_TYPES.GROUND:
-                fillColor = COLOR_VALUES[tile.color];
-                break;
-            default:
-                fillColor = COLOR_VALUES.neutral;
+        // Parse the grid from string representation to tile objects
+        this.grid = [];
+        for (let y = 0; y < levelConfig.height; y++) {
+            this.grid[y] = [];
+            for (let x = 0; x < levelConfig.width; x++) {
+                const tileStr = levelConfig.grid[y][x];
+                this.grid[y][x] = parseTile(tileStr);
+            }
         }
 
-        // Draw tile background with gradient
-        const gradient = this.ctx.createLinearGradient(pixelX, pixelY, pixelX + TILE_SIZE, pixelY + TILE_SIZE);
-        gradient.addColorStop(0, fillColor);
-        gradient.addColorStop(1, this.adjustBrightness(fillColor, -20));
-        this.ctx.fillStyle = gradient;
-        this.ctx.fillRect(pixelX, pixelY, TILE_SIZE, TILE_SIZE);
+        // Set up math gates: fixed questions from mathGates, generated ones otherwise
+        const gates = levelConfig.mathGates || [];
+        const seed = levelConfig.seed !== undefined ? levelConfig.seed : levelConfig.name;
+        for (let y = 0; y < levelConfig.height; y++) {
+            for (let x = 0; x < levelConfig.width; x++) {
+                const tile = this.grid[y][x];
+                if (tile.type !== TILE_TYPES.MATH_GATE) continue;
 
-        // Add glow effect for interactive tiles
-        if (tile.type === TILE_TYPES.COLOR_CHANGE || tile.type === TILE_TYPES.GOAL ||
-            tile.type === TILE_TYPES.MATH_GATE || tile.type === TILE_TYPES.KEY) {
-            const time = Date.now() / 1000;
-            const glow = Math.sin(time * 2) * 0.3 + 0.7;
-            this.ctx.shadowBlur = 10 * glow;
-            this.ctx.shadowColor = fillColor;
+                const gate = gates.find(entry => entry.x === x && entry.y === y) || {};
+                if (typeof gate.question === 'string') {
+                    tile.question = gate.question;
+                    tile.answer = gate.answer;
+                } else {
+                    const difficulty = gate.difficulty || levelConfig.mathDifficulty || MATH_DIFFICULTY.EASY;
+                    const generator = new MathPuzzleGenerator(hashSeed(`${seed}:${x},${y}`));
+                    Object.assign(tile, generator.generate(difficulty));
+                }
+            }
         }
 
-        // Draw tile border
-        this.ctx.strokeStyle = '#2c3e50';
-        this.ctx.lineWidth = 1;
-        this.ctx.strokeRect(pixelX, pixelY, TILE_SIZE, TILE_SIZE);
-        this.ctx.shadowBlur = 0;
+        // Link teleporters to their destinations
+        if (levelConfig.teleports) {
+            levelConfig.teleports.forEach(link => {
+                const tile = this.getTile(link.from.x, link.from.y);
+                if (tile && tile.type === TILE_TYPES.TELEPORT) {
+                    tile.target = { x: link.to.x, y: link.to.y };
+                }
 
-        // Draw special symbols
-        this.ctx.fillStyle = '#fff';
-        this.ctx.font = 'bold 24px Arial';
-        this.ctx.textAlign = 'center';
-        this.ctx.textBaseline = 'middle';
+                // A teleporter destination sends the player back unless it has its own link
+                const partner = this.getTile(link.to.x, link.to.y);
+                if (partner && partner.type === TILE_TYPES.TELEPORT && !partner.target) {
+                    partner.target = { x: link.from.x, y: link.from.y };
+                }
+            });
+        }
 
-        const centerX = pixelX + TILE_SIZE / 2;
-        const centerY = pixelY + TILE_SIZE / 2;
+        // Hazards start from a fresh world clock
+        this.hazards = new HazardSystem(levelConfig.hazards);
+        this.hazards.apply(this);
 
-        if (tile.type === TILE_TYPES.COLOR_CHANGE) {
-            this.ctx.fillText('⚡', centerX, centerY);
-        } else if (tile.type === TILE_TYPES.GOAL) {
-            const time = Date.now() / 1000;
-            const scale = 1 + Math.sin(time * 3) * 0.1;
-            this.ctx.save();
-            this.ctx.translate(centerX, centerY);
-            this.ctx.scale(scale, scale);
-            this.ctx.fillText('🏁', 0, 0);
-            this.ctx.restore();
-        } else if (tile.type === TILE_TYPES.START) {
-            this.ctx.fillText('🏠', centerX, centerY);
-        } else if (tile.type === TILE_TYPES.MATH_GATE && tile.locked) {
-            this.ctx.font = 'bold 16px Arial';
-            this.ctx.fillStyle = '#fff';
-            this.ctx.fillText('🔢', centerX, centerY - 8);
-            this.ctx.font = 'bold 12px Arial';
-            if (tile.question) {
-                this.ctx.fillText(tile.question, centerX, centerY + 8);
-            }
-        } else if (tile.type === TILE_TYPES.KEY && !tile.collected) {
-            this.ctx.fillText('🔑', centerX, centerY);
-        } else if (tile.type === TILE_TYPES.DOOR && tile.locked) {
-            this.ctx.fillText('🚪', centerX, centerY);
-        } else if (tile.type === TILE_TYPES.FRAGILE && !tile.used) {
-            this.ctx.fillStyle = '#fff';
-            this.ctx.font = 'bold 20px Arial';
-            this.ctx.fillText('⚠️', centerX, centerY);
+        // Solve up front (while every tile is untouched) if the star rating needs it
+        this.solution = null;
+        if (levelConfig.targetMoves === 'auto' || this.useSolverTargets) {
+            this.solution = new LevelSolver(this).solve();
         }
+
+        return true;
     }
 
     /**
-     * Adjusts color brightness
+     * Reloads the current level, resetting every tile
      */
-    adjustBrightness(color, amount) {
-        const hex = color.replace('#', '');
-        const r = Math.max(0, Math.min(255, parseInt(hex.substr(0, 2), 16) + amount));
-        const g = Math.max(0, Math.min(255, parseInt(hex.substr(2, 2), 16) + amount));
-        const b = Math.max(0, Math.min(255, parseInt(hex.substr(4, 2), 16) + amount));
-        return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
+    reloadLevel() {
+        return this.loadLevelConfig(this.currentLevel, this.currentLevelIndex);
     }
 
     /**
-     * Draws the player character
+     * True when the loaded level isn't part of LEVELS (editor play tests)
      */
-    drawPlayer(player) {
-        const pos = player.getPosition();
-        const color = player.getColor();
-
-        const centerX = pos.x * TILE_SIZE + TILE_SIZE / 2;
-        const centerY = pos.y * TILE_SIZE + TILE_SIZE / 2;
-        const radius = TILE_SIZE / 3;
-
-        // Draw player body (circle)
-        this.ctx.fillStyle = COLOR_VALUES[color];
-        this.ctx.beginPath();
-        this.ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
-        this.ctx.fill();
-
-        // Draw player outline
-        this.ctx.strokeStyle = '#fff';
-        this.ctx.lineWidth = 3;
-        this.ctx.stroke();
-
-        // Draw eyes
-        this.ctx.fillStyle = '#fff';
-        this.ctx.beginPath();
-        this.ctx.arc(centerX - radius / 3, centerY - radius / 4, radius / 5, 0, Math.PI * 2);
-        this.ctx.arc(centerX + radius / 3, centerY - radius / 4, radius / 5, 0, Math.PI * 2);
-        this.ctx.fill();
-
-        // Draw pupils
-        this.ctx.fillStyle = '#2c3e50';
-        this.ctx.beginPath();
-        this.ctx.arc(centerX - radius / 3, centerY - radius / 4, radius / 8, 0, Math.PI * 2);
-        this.ctx.arc(centerX + radius / 3, centerY - radius / 4, radius / 8, 0, Math.PI * 2);
-        this.ctx.fill();
+    isCustomLevel() {
+        return this.currentLevelIndex === null;
     }
-}
-
-// ============================================
-// INPUT HANDLER
-// ============================================
 
-/**
- * InputHandler - Processes keyboard input
- */
-class InputHandler {
-    constructor(game) {
-        this.game = game;
-        this.keys = {};
-        this.setupListeners();
+    /**
+     * Gets the number of extra moves a teleport jump costs
+     */
+    getTeleportCost() {
+        const cost = this.currentLevel.teleportCost;
+        return typeof cost === 'number' ? cost : TELEPORT_MOVE_COST;
     }
 
     /**
-     * Sets up keyboard event listeners
+     * Gets the moves allowed on the level (null when there's no move limit)
      */
-    setupListeners() {
-        document.addEventListener('keydown', (e) => {
-            this.keys[e.key.toLowerCase()] = true;
-            this.handleKeyPress(e.key.toLowerCase());
-        });
-
-        document.addEventListener('keyup', (e) => {
-            this.keys[e.key.toLowerCase()] = false;
-        });
+    getMaxMoves() {
+        const max = this.currentLevel.maxMoves;
+        return typeof max === 'number' && max > 0 ? max : null;
     }
 
     /**
-     * Handles individual key presses
+     * Gets the seconds allowed on the level (null when there's no time limit)
      */
-    handleKeyPress(key) {
-        if (!this.game.isPlaying) return;
-
-        let dx = 0;
-        let dy = 0;
-
-        // Movement keys
-        switch (key) {
-            case 'arrowup':
-            case 'w':
-                dy = -1;
-                break;
-            case 'arrowdown':
-            case 's':
-                dy = 1;
-                break;
-            case 'arrowleft':
-            case 'a':
-                dx = -1;
-                break;
-            case 'arrowright':
-            case 'd':
-                dx = 1;
-                break;
-            case 'r':
-                // Restart level
-                this.game.restartLevel();
-                return;
-            case 'u':
-                // Undo last move
-                this.game.undoMove();
-                return;
-            case 'h':
-                // Show hint
-                this.game.showHint();
-                return;
-        }
+    getTimeLimit() {
+        const limit = this.currentLevel.timeLimit;
+        return typeof limit === 'number' && limit > 0 ? limit : null;
+    }
 
-        // Process movement
-        if (dx !== 0 || dy !== 0) {
-            this.game.movePlayer(dx, dy);
+    /**
+     * Gets the target moves for star rating.
+     * Levels with `targetMoves: 'auto'` (or every level, when useSolverTargets
+     * is set) use the solver's optimal move count instead.
+     */
+    getTargetMoves() {
+        if (this.solution && this.solution.solvable) {
+            return this.solution.moves;
         }
+        const target = this.currentLevel.targetMoves;
+        return typeof target === 'number' && target > 0 ? target : 999;
     }
-}
-
-// ============================================
-// GAME CLASS - Main Controller
-// ============================================
+
+    /**
+     * Calculates star rating based on moves
+     * 3 stars: <= target moves
+     * 2 stars: <= target moves * 1.3
+     * 1 star: > target moves * 1.3
+     */
+    calculateStars(moveCount) {
+        const target = this.getTargetMoves();
+        if (moveCount <= target) {
+            return 3;
+        } else if (moveCount <= target * 1.3) {
+            return 2;
+        } else {
+            return 1;
+        }
+    }
+
+    /**
+     * Gets the tile at a specific position
+     */
+    getTile(x, y) {
+        if (x < 0 || x >= this.currentLevel.width ||
+            y < 0 || y >= this.currentLevel.height) {
+            return null;
+        }
+        return this.grid[y][x];
+    }
+
+    /**
+     * Checks if a position is walkable (not obstacle, not a closed gate, not out of bounds)
+     */
+    isWalkable(x, y) {
+        const tile = this.getTile(x, y);
+        if (!tile) return false;
+        return tile.type !== TILE_TYPES.OBSTACLE && !tile.closed;
+    }
+
+    /**
+     * Checks if the level has hazards
+     */
+    hasHazards() {
+        return this.hazards.hasHazards();
+    }
+
+    /**
+     * Moves the hazards on by one tick of a clock
+     * @param {string} clock - A HAZARD_CLOCKS value
+     */
+    advanceWorld(clock) {
+        this.hazards.advance(clock);
+        this.hazards.apply(this);
+    }
+
+    /**
+     * Gets the part of the world clock that undo restores (the move count;
+     * the time clock follows the level timer)
+     */
+    getWorldSnapshot() {
+        return { moves: this.hazards.clock.moves };
+    }
+
+    /**
+     * Puts the world clock back to a snapshot and updates the hazards to match
+     */
+    restoreWorld(snapshot) {
+        this.hazards.clock.moves = snapshot.moves;
+        this.hazards.apply(this);
+    }
+
+    /**
+     * Gets a copy of every tile's state (see Game.saveCheckpoint())
+     */
+    getTilesSnapshot() {
+        return this.grid.map(row => row.map(tile => Object.assign({}, tile)));
+    }
+
+    /**
+     * Puts every tile back to a getTilesSnapshot() copy
+     */
+    restoreTiles(snapshot) {
+        snapshot.forEach((row, y) => row.forEach((tile, x) => {
+            Object.assign(this.grid[y][x], tile);
+        }));
+    }
+
+    /**
+     * Gets the starting position for the current level
+     */
+    getStartPosition() {
+        return this.currentLevel.startPos;
+    }
+
+    /**
+     * Gets the goal position for the current level
+     */
+    getGoalPosition() {
+        return this.currentLevel.goalPos;
+    }
+
+    /**
+     * Gets the dimensions of the current level
+     */
+    getDimensions() {
+        return {
+            width: this.currentLevel.width,
+            height: this.currentLevel.height
+        };
+    }
+
+    /**
+     * Gets the current level name
+     */
+    getLevelName() {
+        return this.currentLevel.name;
+    }
+
+    /**
+     * Checks if there are more levels available
+     * (For future multi-level support)
+     */
+    hasNextLevel() {
+        return !this.isCustomLevel() && this.currentLevelIndex + 1 < LEVELS.length;
+    }
+
+    /**
+     * Advances to the next level
+     * (For future multi-level support)
+     *
+     * TO IMPLEMENT LEVEL PROGRESSION:
+     * After completing a level, call: levelManager.goToNextLevel()
+     * Then restart the game with the new level
+     */
+    goToNextLevel() {
+        if (this.hasNextLevel()) {
+            this.loadLevel(this.currentLevelIndex + 1);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Checks the structure of a level pack object. Level names must be
+     * unique (progress, leaderboards and replays are keyed by name), also
+     * against the current LEVELS when appending.
+     * @param {string} mode - 'replace' or 'append', as in importLevelPack()
+     * @returns {Array<string>} Error messages (empty if the pack is well-formed)
+     */
+    validateLevelPack(pack, mode = 'replace') {
+        const errors = [];
+        if (!pack || typeof pack !== 'object') {
+            return ['Level pack must be a JSON object'];
+        }
+        if (pack.format !== LEVEL_PACK_FORMAT) {
+            errors.push(`Unknown format "${pack.format}" (expected "${LEVEL_PACK_FORMAT}")`);
+        }
+        if (!Number.isInteger(pack.version) || pack.version < 1 || pack.version > LEVEL_PACK_VERSION) {
+            errors.push(`Unsupported pack version ${pack.version} (this game reads up to ${LEVEL_PACK_VERSION})`);
+        }
+        if (pack.meta !== undefined && (typeof pack.meta !== 'object' || pack.meta === null)) {
+            errors.push('"meta" must be an object');
+        }
+        if (!Array.isArray(pack.levels) || pack.levels.length === 0) {
+            errors.push('Pack must contain a non-empty "levels" array');
+            return errors;
+        }
+
+        const validator = new LevelValidator();
+        const names = new Set(mode === 'append' ? LEVELS.map(level => level.name) : []);
+        names.add(UNKNOWN_LEVEL_KEY);
+        pack.levels.forEach((level, index) => {
+            validator.validate(level).errors.forEach(error => {
+                errors.push(`Level ${index + 1}: ${error.message}`);
+            });
+            if (level && typeof level.name === 'string') {
+                if (names.has(level.name)) {
+                    errors.push(`Level ${index + 1}: The name "${level.name}" is already taken`);
+                }
+                names.add(level.name);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Imports a level pack into LEVELS
+     * @param {string|Object} packData - Pack JSON text or an already-parsed pack
+     * @param {string} mode - 'replace' to swap out every level, 'append' to add to them
+     * @returns {Object} { success, errors, count }
+     */
+    importLevelPack(packData, mode = 'replace') {
+        let pack = packData;
+        if (typeof packData === 'string') {
+            try {
+                pack = JSON.parse(packData);
+            } catch (error) {
+                return { success: false, errors: [`Not valid JSON: ${error.message}`], count: 0 };
+            }
+        }
+
+        const errors = this.validateLevelPack(pack, mode);
+        if (errors.length > 0) {
+            return { success: false, errors, count: 0 };
+        }
+
+        // LEVELS is shared by the whole game, so it is updated in place
+        const levels = pack.levels.map(level => JSON.parse(JSON.stringify(level)));
+        if (mode === 'replace') {
+            LEVELS.splice(0, LEVELS.length, ...levels);
+            this.packMeta = Object.assign({}, pack.meta);
+            this.currentLevelIndex = 0;
+        } else {
+            LEVELS.push(...levels);
+        }
+
+        return { success: true, errors: [], count: levels.length };
+    }
+
+    /**
+     * Builds a level pack object from the current LEVELS
+     * @param {Object} meta - Metadata to merge over the current pack's
+     */
+    exportLevelPack(meta = {}) {
+        const fields = ['name', 'width', 'height', 'startPos', 'goalPos', 'targetMoves',
+            'maxMoves', 'timeLimit', 'mathGates', 'mathDifficulty', 'seed', 'teleports', 'teleportCost',
+            'hazards', 'grid'];
+
+        return {
+            format: LEVEL_PACK_FORMAT,
+            version: LEVEL_PACK_VERSION,
+            meta: Object.assign({}, this.packMeta, meta, { exported: new Date().toISOString() }),
+            levels: LEVELS.map(level => {
+                const copy = {};
+                fields.forEach(field => {
+                    if (level[field] !== undefined) {
+                        copy[field] = JSON.parse(JSON.stringify(level[field]));
+                    }
+                });
+                return copy;
+            })
+        };
+    }
+}
+
+// ============================================
+// LEVEL VALIDATOR
+// ============================================
 
 /**
- * Game - Main game controller that orchestrates all systems
+ * LevelValidator - Reports structural problems in a level config
+ *
+ * validate() returns { valid, errors, warnings }. Each problem is
+ * { code, message, x, y } (x/y only when it concerns a single cell).
+ *
+ * Errors make a level unplayable or ambiguous (wrong dimensions, unknown
+ * tile codes, start/goal not on their S/G cells, math gates, teleporters or
+ * hazards pointing at the wrong tiles) and stop LevelManager from loading it.
+ * Warnings are suspicious but playable: teleporters without a link, doors
+ * no reachable key can open, a goal that can't be reached at all.
  */
-class Game {
-    constructor() {
-        // Initialize systems
-        this.levelManager = new LevelManager();
-        this.timer = new TimerSystem();
-        this.leaderboard = new LeaderboardSystem();
+class LevelValidator {
+    /**
+     * Validates a level config
+     * @param {Object} level - Level config as found in LEVELS
+     * @returns {Object} { valid, errors, warnings }
+     */
+    validate(level) {
+        const errors = [];
+        const warnings = [];
+        const error = (code, message, x, y) => errors.push(this.problem(code, message, x, y));
+        const warning = (code, message, x, y) => warnings.push(this.problem(code, message, x, y));
+
+        if (!level || typeof level !== 'object') {
+            error('invalid-level', 'Level must be an object');
+            return { valid: false, errors, warnings };
+        }
+        if (typeof level.name !== 'string' || level.name.trim() === '') {
+            error('missing-name', 'Level has no "name"');
+        }
+        if (level.targetMoves !== undefined && level.targetMoves !== 'auto' &&
+            !(typeof level.targetMoves === 'number' && level.targetMoves > 0)) {
+            error('invalid-target-moves', '"targetMoves" must be a positive number or "auto"');
+        }
+        if (level.maxMoves !== undefined && !(Number.isInteger(level.maxMoves) && level.maxMoves > 0)) {
+            error('invalid-max-moves', '"maxMoves" must be a positive whole number');
+        } else if (typeof level.targetMoves === 'number' && level.maxMoves < level.targetMoves) {
+            warning('max-moves-below-target', '"maxMoves" is below "targetMoves", so every win earns 3 stars');
+        }
+        if (level.timeLimit !== undefined && !(typeof level.timeLimit === 'number' && level.timeLimit > 0)) {
+            error('invalid-time-limit', '"timeLimit" must be a positive number of seconds');
+        }
 
-        // Get DOM elements
-        this.canvas = document.getElementById('gameCanvas');
-        this.renderer = new Renderer(this.canvas);
-        this.inputHandler = new InputHandler(this);
+        // Without a usable grid and size nothing else can be checked
+        if (!Number.isInteger(level.width) || level.width <= 0 ||
+            !Number.isInteger(level.height) || level.height <= 0) {
+            error('invalid-dimensions', '"width" and "height" must be positive integers');
+            return { valid: false, errors, warnings };
+        }
+        if (!Array.isArray(level.grid) || !level.grid.every(row => Array.isArray(row))) {
+            error('invalid-grid', '"grid" must be an array of rows');
+            return { valid: false, errors, warnings };
+        }
 
-        // Game state
-        this.player = null;
-        this.isPlaying = false;
-        this.playerName = '';
+        // Dimensions must match the grid exactly
+        if (level.grid.length !== level.height) {
+            error('height-mismatch', `Level declares height ${level.height} but the grid has ${level.grid.length} rows`);
+        }
+        level.grid.forEach((row, y) => {
+            if (row.length !== level.width) {
+                error('width-mismatch', `Row ${y} has ${row.length} tiles but the level declares width ${level.width}`, null, y);
+            }
+        });
+
+        // Every code must be known; remember where the special tiles are
+        const cells = { S: [], G: [], MG: [], T: [], K: [], D: [] };
+        level.grid.forEach((row, y) => {
+            row.forEach((code, x) => {
+                if (!Object.prototype.hasOwnProperty.call(TILE_CODES, code)) {
+                    error('unknown-tile', `Unknown tile code "${code}"`, x, y);
+                } else if (cells[code]) {
+                    cells[code].push({ x, y });
+                }
+            });
+        });
+        const codeAt = pos => (level.grid[pos.y] ? level.grid[pos.y][pos.x] : undefined);
+        const isPosition = pos => pos && Number.isInteger(pos.x) && Number.isInteger(pos.y);
+        const inBounds = pos => isPosition(pos) && codeAt(pos) !== undefined;
+
+        // Start and goal must sit on their S and G cells
+        [['startPos', 'S', 'start'], ['goalPos', 'G', 'goal']].forEach(([field, code, label]) => {
+            const pos = level[field];
+            if (!isPosition(pos)) {
+                error(`missing-${label}`, `"${field}" must be {x, y}`);
+            } else if (codeAt(pos) !== code) {
+                error(`${label}-mismatch`, `"${field}" is not on a '${code}' tile`, pos.x, pos.y);
+            }
+            if (cells[code].length !== 1) {
+                error(`${label}-count`, `Level must have exactly one '${code}' tile (found ${cells[code].length})`);
+            }
+        });
+
+        // Math gates: every entry on an MG tile, every MG tile with a question
+        const gateEntries = Array.isArray(level.mathGates) ? level.mathGates : [];
+        if (level.mathGates !== undefined && !Array.isArray(level.mathGates)) {
+            error('invalid-math-gates', '"mathGates" must be an array');
+        }
+        gateEntries.forEach((gate, index) => {
+            if (!inBounds(gate)) {
+                error('math-gate-mismatch', `mathGates[${index}] is outside the grid`);
+            } else if (codeAt(gate) !== 'MG') {
+                error('math-gate-mismatch', `mathGates[${index}] is not on an 'MG' tile`, gate.x, gate.y);
+            } else if ((gate.question !== undefined || gate.answer !== undefined) &&
+                (typeof gate.question !== 'string' || typeof gate.answer !== 'number')) {
+                error('math-gate-incomplete', `mathGates[${index}] needs both a "question" and a numeric "answer" (or neither, to generate one)`, gate.x, gate.y);
+            } else if (gate.difficulty !== undefined && !Object.values(MATH_DIFFICULTY).includes(gate.difficulty)) {
+                error('math-gate-difficulty', `mathGates[${index}] has an unknown difficulty`, gate.x, gate.y);
+            }
+        });
+        if (level.mathDifficulty !== undefined && !Object.values(MATH_DIFFICULTY).includes(level.mathDifficulty)) {
+            error('math-gate-difficulty', '"mathDifficulty" must be one of MATH_DIFFICULTY');
+        }
+
+        // Teleporters: every link starts on a T tile and lands somewhere walkable
+        const links = Array.isArray(level.teleports) ? level.teleports : [];
+        if (level.teleports !== undefined && !Array.isArray(level.teleports)) {
+            error('invalid-teleports', '"teleports" must be an array');
+        }
+        links.forEach((link, index) => {
+            if (!link || !inBounds(link.from) || codeAt(link.from) !== 'T') {
+                error('teleport-mismatch', `teleports[${index}].from is not on a 'T' tile`);
+            }
+            if (!link || !inBounds(link.to) || codeAt(link.to) === 'O') {
+                error('teleport-destination', `teleports[${index}].to must be a walkable tile inside the grid`);
+            }
+        });
+        cells.T.forEach(({ x, y }) => {
+            const linked = links.some(link => link && ((isPosition(link.from) && link.from.x === x && link.from.y === y) ||
+                (isPosition(link.to) && link.to.x === x && link.to.y === y)));
+            if (!linked) {
+                warning('teleport-unlinked', 'Teleporter has no teleports entry and does nothing', x, y);
+            }
+        });
+
+        // Hazards: known types on cells that can hold them, with sensible timings
+        if (level.hazards !== undefined && !Array.isArray(level.hazards)) {
+            error('invalid-hazards', '"hazards" must be an array');
+        }
+        (Array.isArray(level.hazards) ? level.hazards : []).forEach((hazard, index) => {
+            this.validateHazard(hazard, `hazards[${index}]`, codeAt, inBounds, error);
+        });
+
+        // Reachability only makes sense once the grid itself is sound
+        if (errors.length === 0) {
+            this.checkReachability(level, cells, links, warning);
+        }
+
+        return { valid: errors.length === 0, errors, warnings };
+    }
+
+    /**
+     * Checks one entry of a level's hazards (see HazardSystem for the formats)
+     */
+    validateHazard(hazard, label, codeAt, inBounds, error) {
+        if (!hazard || !Object.values(HAZARD_TYPES).includes(hazard.type)) {
+            error('hazard-type', `${label} has an unknown "type"`);
+            return;
+        }
+        const isCount = (value, min) => Number.isInteger(value) && value >= min;
+        if (hazard.clock !== undefined && !Object.values(HAZARD_CLOCKS).includes(hazard.clock)) {
+            error('hazard-clock', `${label}.clock must be one of HAZARD_CLOCKS`);
+        }
+        if (hazard.every !== undefined && !isCount(hazard.every, 1)) {
+            error('hazard-timing', `${label}.every must be a positive integer`);
+        }
+        if (hazard.offset !== undefined && !isCount(hazard.offset, 0)) {
+            error('hazard-timing', `${label}.offset must be a whole number of ticks`);
+        }
+
+        switch (hazard.type) {
+            case HAZARD_TYPES.PATROL: {
+                const path = hazard.path;
+                if (!Array.isArray(path) || path.length === 0 || !path.every(inBounds)) {
+                    error('hazard-path', `${label}.path must be a list of cells inside the grid`);
+                    break;
+                }
+                path.forEach((pos, i) => {
+                    if (codeAt(pos) === 'O') {
+                        error('hazard-path', `${label}.path runs through an obstacle`, pos.x, pos.y);
+                    }
+                    const next = i + 1 < path.length ? path[i + 1] : (hazard.loop && path.length > 1 ? path[0] : null);
+                    if (next && Math.abs(next.x - pos.x) + Math.abs(next.y - pos.y) !== 1) {
+                        error('hazard-path', `${label}.path jumps to a cell that isn't next to this one`, pos.x, pos.y);
+                    }
+                });
+                break;
+            }
+            case HAZARD_TYPES.COLOR_CYCLE:
+                if (!inBounds(hazard) || !['R', 'B', 'Y', 'PU', 'GN', 'OR', 'N'].includes(codeAt(hazard))) {
+                    error('hazard-mismatch', `${label} is not on a ground tile`);
+                }
+                if (!Array.isArray(hazard.colors) || hazard.colors.length < 2 ||
+                    !hazard.colors.every(color => Object.values(COLORS).includes(color))) {
+                    error('hazard-colors', `${label}.colors must list at least two colors`);
+                }
+                break;
+            case HAZARD_TYPES.TIMED_GATE:
+                if (!inBounds(hazard) || ['O', 'S', 'G'].includes(codeAt(hazard))) {
+                    error('hazard-mismatch', `${label} must be on a walkable tile other than the start or goal`);
+                }
+                if (!isCount(hazard.open, 1) || !isCount(hazard.closed, 1)) {
+                    error('hazard-timing', `${label} needs positive integer "open" and "closed" tick counts`);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Floods the level from the start, ignoring colors and fragile tiles, and
+     * opening a door only while there are more keys collected than doors
+     * opened. Doors left shut have no reachable key.
+     */
+    checkReachability(level, cells, links, warning) {
+        const blocked = code => code === 'O' || code === 'E';
+        const reached = new Set();
+        const queue = [level.startPos];
+        const pendingDoors = [];
+        let keys = 0;
+        let doorsOpened = 0;
+
+        const visit = pos => {
+            const key = `${pos.x},${pos.y}`;
+            const code = level.grid[pos.y] && level.grid[pos.y][pos.x];
+            if (reached.has(key) || code === undefined || blocked(code)) return;
+            if (code === 'D' && !pendingDoors.some(door => door.x === pos.x && door.y === pos.y)) {
+                pendingDoors.push(pos); // Opened later, once a key is available
+                return;
+            }
+            if (code === 'D') return;
+            reached.add(key);
+            if (code === 'K') keys++;
+            queue.push(pos);
+        };
+
+        while (true) {
+            while (queue.length > 0) {
+                const pos = queue.shift();
+                DIRECTIONS.forEach(({ dx, dy }) => visit({ x: pos.x + dx, y: pos.y + dy }));
+                links.forEach(link => {
+                    if (link.from.x === pos.x && link.from.y === pos.y) visit(link.to);
+                    if (link.to.x === pos.x && link.to.y === pos.y && level.grid[pos.y][pos.x] === 'T') visit(link.from);
+                });
+            }
+            if (pendingDoors.length === 0 || keys <= doorsOpened) break;
+
+            const door = pendingDoors.shift();
+            doorsOpened++;
+            reached.add(`${door.x},${door.y}`);
+            queue.push(door);
+        }
+
+        cells.D.forEach(({ x, y }) => {
+            if (!reached.has(`${x},${y}`)) {
+                const seen = pendingDoors.some(door => door.x === x && door.y === y);
+                warning(seen ? 'door-without-key' : 'door-unreachable',
+                    seen ? 'No reachable key is left to open this door' : 'Door can never be reached', x, y);
+            }
+        });
+
+        const goal = level.goalPos;
+        if (!reached.has(`${goal.x},${goal.y}`)) {
+            warning('goal-unreachable', 'The goal can\'t be reached from the start, whatever the colors', goal.x, goal.y);
+        }
+    }
+
+    /**
+     * Builds a problem record
+     */
+    problem(code, message, x = null, y = null) {
+        const location = x !== null && y !== null ? ` at (${x}, ${y})` : '';
+        return { code, message: message + location, x, y };
+    }
+}
+
+// ============================================
+// LEVEL CODES
+// ============================================
+
+/**
+ * LevelCodec - Packs a level into a short, URL-safe code for sharing
+ *
+ * A code is `<version>.<payload>.<checksum>`. The payload is the level as
+ * JSON with short keys (see LEVEL_CODE_FIELDS), positions as [x, y] and the
+ * grid run-length encoded, in URL-safe base64. The checksum is hashSeed() of
+ * everything before it in base 36, so a code that was cut short or mistyped
+ * is turned away before it is read.
+ */
+class LevelCodec {
+    /**
+     * Encodes a level config
+     * @param {Object} level - A valid level config in the LEVELS format
+     * @returns {string} The level code
+     */
+    encode(level) {
+        const data = {
+            w: level.width,
+            h: level.height,
+            s: [level.startPos.x, level.startPos.y],
+            g: [level.goalPos.x, level.goalPos.y],
+            t: this.encodeGrid(level.grid)
+        };
+        Object.keys(LEVEL_CODE_FIELDS).forEach(field => {
+            const value = level[field];
+            if (value !== undefined && !(Array.isArray(value) && value.length === 0)) {
+                data[LEVEL_CODE_FIELDS[field]] = value;
+            }
+        });
+
+        const body = `${LEVEL_CODE_VERSION}.${this.toBase64Url(JSON.stringify(data))}`;
+        return `${body}.${hashSeed(body).toString(36)}`;
+    }
+
+    /**
+     * Decodes a level code, checking it and the level inside it
+     * @param {string} text - A level code, or a whole link or hash containing #level=<code>
+     * @returns {Object} { success, level, errors }
+     */
+    decode(text) {
+        const fail = message => ({ success: false, level: null, errors: [message] });
+        if (typeof text !== 'string' || text.trim() === '') {
+            return fail('No level code given');
+        }
+
+        const link = new RegExp(`[#&?]${LEVEL_CODE_HASH_KEY}=([^&#]*)`).exec(text);
+        const code = link ? link[1] : text.trim();
+        const parts = code.split('.');
+        if (parts.length !== 3 || !/^\d+$/.test(parts[0])) {
+            return fail('That doesn\'t look like a level code');
+        }
+        const version = parseInt(parts[0], 10);
+        if (version < 1 || version > LEVEL_CODE_VERSION) {
+            return fail(`This level code needs a newer version of the game (code version ${version})`);
+        }
+        if (hashSeed(`${parts[0]}.${parts[1]}`).toString(36) !== parts[2]) {
+            return fail('This level code is damaged or incomplete - check that it was copied in full');
+        }
+
+        let level = null;
+        try {
+            level = this.unpack(JSON.parse(this.fromBase64Url(parts[1])));
+        } catch (error) {
+            level = null;
+        }
+        if (!level) {
+            return fail('This level code could not be read');
+        }
+
+        const errors = new LevelValidator().validate(level).errors.map(error => `Level: ${error.message}`);
+        return { success: errors.length === 0, level: errors.length === 0 ? level : null, errors };
+    }
+
+    /**
+     * Rebuilds a level config from a decoded payload
+     * @returns {Object|null} The level, or null if the payload is malformed
+     */
+    unpack(data) {
+        const isSize = value => Number.isInteger(value) && value > 0 && value <= EDITOR_MAX_SIZE;
+        const isPosition = value => Array.isArray(value) && value.length === 2 && value.every(Number.isInteger);
+        if (!data || typeof data !== 'object' || !isSize(data.w) || !isSize(data.h) ||
+            !isPosition(data.s) || !isPosition(data.g) || typeof data.t !== 'string') {
+            return null;
+        }
+
+        const grid = this.decodeGrid(data.t, data.w, data.h);
+        if (!grid) {
+            return null;
+        }
+
+        const level = {
+            width: data.w,
+            height: data.h,
+            startPos: { x: data.s[0], y: data.s[1] },
+            goalPos: { x: data.g[0], y: data.g[1] },
+            grid
+        };
+        Object.keys(LEVEL_CODE_FIELDS).forEach(field => {
+            if (data[LEVEL_CODE_FIELDS[field]] !== undefined) {
+                level[field] = data[LEVEL_CODE_FIELDS[field]];
+            }
+        });
+        return level;
+    }
+
+    /**
+     * Run-length encodes a grid, row by row: "O12,S,N3,..." (a count only on runs)
+     */
+    encodeGrid(grid) {
+        const runs = [];
+        let code = null;
+        let count = 0;
+        grid.forEach(row => row.forEach(tile => {
+            if (tile === code) {
+                count++;
+                return;
+            }
+            if (code !== null) runs.push(count > 1 ? code + count : code);
+            code = tile;
+            count = 1;
+        }));
+        if (code !== null) runs.push(count > 1 ? code + count : code);
+        return runs.join(',');
+    }
+
+    /**
+     * Expands a run-length encoded grid back into rows
+     * @returns {Array|null} The grid, or null if it doesn't fill width x height exactly
+     */
+    decodeGrid(text, width, height) {
+        const codes = [];
+        for (const run of text.split(',')) {
+            const match = /^(\D+)(\d*)$/.exec(run);
+            const count = match && match[2] !== '' ? parseInt(match[2], 10) : 1;
+            if (!match || count < 1 || codes.length + count > width * height) {
+                return null;
+            }
+            for (let i = 0; i < count; i++) {
+                codes.push(match[1]);
+            }
+        }
+        if (codes.length !== width * height) {
+            return null;
+        }
+
+        const grid = [];
+        for (let y = 0; y < height; y++) {
+            grid.push(codes.slice(y * width, (y + 1) * width));
+        }
+        return grid;
+    }
+
+    /**
+     * Base64 with the URL-safe alphabet and no padding
+     */
+    toBase64Url(text) {
+        // btoa() only takes single bytes, so the UTF-8 bytes go through percent-encoding first
+        const bytes = encodeURIComponent(text).replace(/%([0-9A-F]{2})/g,
+            (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+        return btoa(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Reverses toBase64Url()
+     * @throws If the text isn't valid base64 or UTF-8
+     */
+    fromBase64Url(text) {
+        const bytes = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return decodeURIComponent(Array.from(bytes, char =>
+            '%' + char.charCodeAt(0).toString(16).padStart(2, '0')).join(''));
+    }
+}
+
+// ============================================
+// LEVEL SOLVER
+// ============================================
+
+/**
+ * LevelSolver - Finds the shortest winning move sequence for a level
+ *
+ * Runs a best-first search over the full game state on LevelManager's
+ * parsed grid: position, player color (and the primary a mixed color washes
+ * back to), keys held, and the state of every
+ * mutable tile (used fragile tiles, collected keys, opened doors and
+ * unlocked math gates). Math gates are assumed to be answered correctly.
+ * With hazards, the state also holds the move count modulo the hazards'
+ * cycle length, since that decides where they are. Hazards on the time
+ * clock are taken as they are now: the search assumes the clock stands still.
+ *
+ * Moves are not all equal (a teleport jump costs extra), so this is an A*
+ * search: states are expanded in order of move cost plus a lower bound on
+ * the moves still needed, one bucket per total. The lower bound is the
+ * walking distance to the goal with colors, keys and fragile tiles ignored.
+ *
+ * Fragile tiles make the state space explode, so solve() first searches a
+ * relaxed game in which fragile tiles never crumble. The relaxed game only
+ * adds options, so if it has no solution the real level has none either.
+ *
+ * Result object:
+ * - solvable: true, false (every reachable state was explored and none
+ *   wins, i.e. a proof that the level can't be solved), or null when the
+ *   search hit maxStates before reaching a verdict
+ * - moves: Move count of the shortest solution (null if none found)
+ * - path: Array of DIRECTIONS entries, in order
+ * - statesExplored: Number of distinct states visited
+ */
+class LevelSolver {
+    /**
+     * @param {LevelManager} levelManager - Manager with a loaded level
+     * @param {Object} options - { maxStates }
+     */
+    constructor(levelManager, options = {}) {
+        this.levelManager = levelManager;
+        this.maxStates = options.maxStates || SOLVER_MAX_STATES;
+        this.relaxed = false; // True while searching with unbreakable fragile tiles
+        this.hazards = levelManager.hazards;
+        this.cycleLength = this.hazards.getCycleLength();
+
+        // Every tile whose state can change gets one bit in the state mask
+        this.flagIndex = new Map();
+        const { width, height } = levelManager.getDimensions();
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (this.getTileFlag(levelManager.getTile(x, y)) !== null) {
+                    this.flagIndex.set(`${x},${y}`, BigInt(this.flagIndex.size));
+                }
+            }
+        }
+
+        this.distanceToGoal = this.computeGoalDistances();
+    }
+
+    /**
+     * Computes, for every tile, the fewest moves to the goal when colors,
+     * keys and fragile tiles are ignored. This never overestimates, so it is
+     * a safe A* heuristic; Infinity means the goal can't be reached at all.
+     */
+    computeGoalDistances() {
+        const { width, height } = this.levelManager.getDimensions();
+        const teleportCost = this.levelManager.getTeleportCost();
+        const canStand = (x, y) => {
+            const tile = this.levelManager.getTile(x, y);
+            return tile !== null && tile.type !== TILE_TYPES.OBSTACLE && tile.type !== TILE_TYPES.EMPTY;
+        };
+
+        // Reverse edges: for each tile, the tiles that can reach it and the cost
+        const incoming = new Map();
+        const addEdge = (from, to, cost) => {
+            const key = `${to.x},${to.y}`;
+            if (!incoming.has(key)) incoming.set(key, []);
+            incoming.get(key).push({ x: from.x, y: from.y, cost });
+        };
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!canStand(x, y)) continue;
+                DIRECTIONS.forEach(({ dx, dy }) => {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (!canStand(nx, ny)) return;
+                    addEdge({ x, y }, { x: nx, y: ny }, 1);
+
+                    const tile = this.levelManager.getTile(nx, ny);
+                    if (tile.type === TILE_TYPES.TELEPORT && tile.target) {
+                        addEdge({ x, y }, tile.target, 1 + teleportCost);
+                    }
+                });
+            }
+        }
+
+        // Dijkstra outwards from the goal (levels are small, so a sorted list will do)
+        const distances = [];
+        for (let y = 0; y < height; y++) {
+            distances[y] = new Array(width).fill(Infinity);
+        }
+        const goal = this.levelManager.getGoalPosition();
+        distances[goal.y][goal.x] = 0;
+        const queue = [{ x: goal.x, y: goal.y, distance: 0 }];
+        while (queue.length > 0) {
+            queue.sort((a, b) => b.distance - a.distance);
+            const { x, y, distance } = queue.pop();
+            if (distance > distances[y][x]) continue;
+
+            (incoming.get(`${x},${y}`) || []).forEach(edge => {
+                const candidate = distance + edge.cost;
+                if (candidate < distances[edge.y][edge.x]) {
+                    distances[edge.y][edge.x] = candidate;
+                    queue.push({ x: edge.x, y: edge.y, distance: candidate });
+                }
+            });
+        }
+        return distances;
+    }
+
+    /**
+     * Lower bound on the moves needed to reach the goal from (x, y)
+     */
+    estimateRemaining(x, y) {
+        return this.distanceToGoal[y][x];
+    }
+
+    /**
+     * Gets whether a mutable tile has been triggered, or null for static tiles
+     */
+    getTileFlag(tile) {
+        switch (tile.type) {
+            case TILE_TYPES.FRAGILE:
+                return tile.used;
+            case TILE_TYPES.KEY:
+                return tile.collected;
+            case TILE_TYPES.DOOR:
+            case TILE_TYPES.MATH_GATE:
+                return !tile.locked;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Builds a search state from the level's current tiles and a player.
+     * Without a player, the level's start position and initial color are used.
+     */
+    captureState(player = null) {
+        let mask = 0n;
+        this.flagIndex.forEach((bit, coords) => {
+            const [x, y] = coords.split(',').map(Number);
+            if (this.getTileFlag(this.levelManager.getTile(x, y))) {
+                mask |= 1n << bit;
+            }
+        });
+
+        const tick = this.hazards.clock.moves % this.cycleLength;
+        if (player) {
+            return {
+                x: player.x, y: player.y, color: player.color, base: player.baseColor,
+                keys: player.keys, mask, tick
+            };
+        }
+        const startPos = this.levelManager.getStartPosition();
+        return { x: startPos.x, y: startPos.y, color: COLORS.RED, base: COLORS.RED, keys: 0, mask, tick };
+    }
+
+    /**
+     * Gets the lookup key for a state
+     */
+    stateKey(state) {
+        return `${state.x},${state.y},${state.color},${state.base},${state.keys},${state.mask.toString(36)},${state.tick}`;
+    }
+
+    /**
+     * Gets the hazards' clock at a state's move tick
+     */
+    clockAt(tick) {
+        return { moves: tick, time: this.hazards.clock.time };
+    }
+
+    /**
+     * Checks if (x, y) can be stepped on at a move tick (inside the grid,
+     * not an obstacle, not a closed gate)
+     */
+    canEnter(x, y, tick) {
+        const tile = this.levelManager.getTile(x, y);
+        return tile !== null && tile.type !== TILE_TYPES.OBSTACLE && !this.hazards.isClosed(x, y, this.clockAt(tick));
+    }
+
+    /**
+     * Checks whether the tile at (x, y) has been triggered in a state
+     */
+    isFlagSet(state, x, y) {
+        return (state.mask & (1n << this.flagIndex.get(`${x},${y}`))) !== 0n;
+    }
+
+    /**
+     * Marks the tile at (x, y) as triggered in a state
+     */
+    setFlag(state, x, y) {
+        state.mask |= 1n << this.flagIndex.get(`${x},${y}`);
+    }
+
+    /**
+     * Applies one move to a state, mirroring Game.handleTileInteraction()
+     * @returns {Object|null} { state, cost, won } or null if the move is blocked or fatal
+     */
+    step(state, dx, dy) {
+        const x = state.x + dx;
+        const y = state.y + dy;
+        if (!this.canEnter(x, y, state.tick)) {
+            return null;
+        }
+
+        const next = {
+            x, y, color: state.color, base: state.base, keys: state.keys, mask: state.mask, tick: state.tick
+        };
+        const outcome = this.resolveTile(next, false);
+        if (outcome === null) {
+            return null;
+        }
+
+        // Then the hazards move (unless the level is over), and may catch the player
+        if (!outcome.won && this.hazards.hasHazards()) {
+            next.tick = (state.tick + 1) % this.cycleLength;
+            if (this.hazards.getDeathReason(next.x, next.y, next.color, this.clockAt(next.tick))) {
+                return null;
+            }
+        }
+        return { state: next, cost: 1 + outcome.extraCost, won: outcome.won };
+    }
+
+    /**
+     * Applies the rules of the tile the state stands on, in place
+     * @returns {Object|null} { extraCost, won } or null if the player dies
+     */
+    resolveTile(state, arrivedByTeleport) {
+        const tile = this.levelManager.getTile(state.x, state.y);
+        const clock = this.clockAt(state.tick);
+        if (this.hazards.isPatrolled(state.x, state.y, clock)) {
+            return null;
+        }
+
+        switch (tile.type) {
+            case TILE_TYPES.EMPTY:
+                return null;
+
+            case TILE_TYPES.GROUND: {
+                const color = this.hazards.getColor(state.x, state.y, clock) || tile.color;
+                if (color !== state.color && color !== COLORS.NEUTRAL) {
+                    return null;
+                }
+                break;
+            }
+
+            case TILE_TYPES.FRAGILE:
+                if (this.relaxed) {
+                    break;
+                }
+                if (this.isFlagSet(state, state.x, state.y)) {
+                    return null;
+                }
+                this.setFlag(state, state.x, state.y);
+                break;
+
+            case TILE_TYPES.COLOR_CHANGE:
+                state.color = tile.color;
+                state.base = tile.color;
+                break;
+
+            case TILE_TYPES.COLOR_MIX:
+                state.color = mixColors(state.color, tile.color);
+                break;
+
+            case TILE_TYPES.WASH:
+                state.color = state.base;
+                break;
+
+            case TILE_TYPES.KEY:
+                if (!this.isFlagSet(state, state.x, state.y)) {
+                    this.setFlag(state, state.x, state.y);
+                    state.keys++;
+                }
+                break;
+
+            case TILE_TYPES.DOOR:
+                if (!this.isFlagSet(state, state.x, state.y)) {
+                    if (state.keys === 0) {
+                        return null;
+                    }
+                    state.keys--;
+                    this.setFlag(state, state.x, state.y);
+                }
+                break;
+
+            case TILE_TYPES.MATH_GATE:
+                // Assume the player answers correctly
+                this.setFlag(state, state.x, state.y);
+                break;
+
+            case TILE_TYPES.TELEPORT:
+                if (!arrivedByTeleport && tile.target &&
+                    this.canEnter(tile.target.x, tile.target.y, state.tick)) {
+                    state.x = tile.target.x;
+                    state.y = tile.target.y;
+                    const outcome = this.resolveTile(state, true);
+                    if (outcome === null) {
+                        return null;
+                    }
+                    return {
+                        extraCost: outcome.extraCost + this.levelManager.getTeleportCost(),
+                        won: outcome.won
+                    };
+                }
+                break;
+
+            case TILE_TYPES.GOAL:
+                return { extraCost: 0, won: true };
+        }
+
+        return { extraCost: 0, won: false };
+    }
+
+    /**
+     * Searches for the shortest winning move sequence
+     * @param {Object} startState - State to search from (defaults to the level start)
+     * @returns {Object} { solvable, moves, path, statesExplored }
+     */
+    solve(startState = null) {
+        const initial = startState || this.captureState();
+
+        this.relaxed = true;
+        const relaxedResult = this.search(initial);
+        this.relaxed = false;
+        if (relaxedResult.solvable === false) {
+            return relaxedResult;
+        }
+
+        return this.search(initial);
+    }
+
+    /**
+     * Searches from a player's current position, color and keys, using the
+     * level's tiles as they are now (crumbled fragiles, opened doors, ...)
+     */
+    solveFrom(player) {
+        return this.solve(this.captureState(player));
+    }
+
+    /**
+     * Runs the A* search from a state under the current rules
+     */
+    search(initial) {
+        // Search nodes: { state, key, parent, direction, won }; costs[] holds moves so far
+        const initialKey = this.stateKey(initial);
+        const nodes = [{ state: initial, key: initialKey, parent: -1, direction: null, won: false }];
+        const bestCost = new Map([[initialKey, 0]]);
+        const costs = [0];
+        const buckets = [];
+        const initialEstimate = this.estimateRemaining(initial.x, initial.y);
+        if (initialEstimate === Infinity) {
+            return { solvable: false, moves: null, path: [], statesExplored: 1 };
+        }
+        buckets[initialEstimate] = [0];
+
+        for (let total = 0; total < buckets.length; total++) {
+            const bucket = buckets[total];
+            if (!bucket) continue;
+
+            for (let i = 0; i < bucket.length; i++) {
+                const nodeId = bucket[i];
+                const node = nodes[nodeId];
+                const cost = costs[nodeId];
+
+                // Wins are only final once popped, since a cheaper one may still be queued
+                if (node.won) {
+                    return {
+                        solvable: true,
+                        moves: cost,
+                        path: this.buildPath(nodes, nodeId),
+                        statesExplored: bestCost.size
+                    };
+                }
+                if (bestCost.get(node.key) < cost) continue; // Reached more cheaply since it was queued
+
+                for (const direction of DIRECTIONS) {
+                    const result = this.step(node.state, direction.dx, direction.dy);
+                    if (!result) continue;
+
+                    const nextCost = cost + result.cost;
+                    const remaining = result.won ? 0 : this.estimateRemaining(result.state.x, result.state.y);
+                    if (remaining === Infinity) continue; // Goal is out of reach from here
+
+                    const key = result.won ? null : this.stateKey(result.state);
+                    if (!result.won) {
+                        const known = bestCost.get(key);
+                        if (known !== undefined && known <= nextCost) continue;
+
+                        if (bestCost.size >= this.maxStates) {
+                            return { solvable: null, moves: null, path: [], statesExplored: bestCost.size };
+                        }
+                        bestCost.set(key, nextCost);
+                    }
+
+                    const nextTotal = nextCost + remaining;
+                    nodes.push({ state: result.state, key, parent: nodeId, direction, won: result.won });
+                    costs.push(nextCost);
+                    if (!buckets[nextTotal]) buckets[nextTotal] = [];
+                    buckets[nextTotal].push(nodes.length - 1);
+                }
+            }
+            buckets[total] = null;
+        }
+
+        return { solvable: false, moves: null, path: [], statesExplored: bestCost.size };
+    }
+
+    /**
+     * Walks parent links back to the initial state
+     */
+    buildPath(nodes, nodeId) {
+        const path = [];
+        for (let id = nodeId; nodes[id].parent !== -1; id = nodes[id].parent) {
+            path.push(nodes[id].direction);
+        }
+        return path.reverse();
+    }
+}
+
+// ============================================
+// LEVEL GENERATOR
+// ============================================
+
+/**
+ * LevelGenerator - Seeded random levels that are always solvable
+ *
+ * A level is built around a path: a random walk from the start that never
+ * touches itself, so it has no shortcuts of its own. Tiles along the path
+ * are laid out for a player walking it (color changers, ground in the color
+ * the player has at that point, fragile tiles, keys before their doors, math
+ * gates), which makes walking the path a solution. The rest of the grid gets
+ * walls, pits and ground in random colors.
+ *
+ * Every candidate is then loaded and searched by LevelSolver, and targetMoves
+ * is its optimal move count (off-path tiles often open a shorter way). A
+ * candidate the solver can't settle within its budget, or whose off-path
+ * tiles cut it down below GENERATOR_MIN_SOLUTION of the path, is thrown away
+ * and the next one is built from the same random sequence, so a seed, size
+ * and difficulty always give the same level.
+ */
+class LevelGenerator {
+    /**
+     * @param {Object} options - { maxAttempts, maxStates }
+     */
+    constructor(options = {}) {
+        this.maxAttempts = options.maxAttempts || GENERATOR_MAX_ATTEMPTS;
+        this.maxStates = options.maxStates || SOLVER_MAX_STATES;
+    }
+
+    /**
+     * Generates a level
+     * @param {Object} options - { seed, width, height, difficulty (GENERATOR_DIFFICULTY), name }
+     * @returns {Object} A level config, with `seed` set and `targetMoves` solved
+     */
+    generate(options = {}) {
+        const seed = String(options.seed !== undefined ? options.seed : Date.now().toString(36));
+        const clampSize = size => Math.max(GENERATOR_MIN_SIZE, Math.min(EDITOR_MAX_SIZE, Math.floor(size)));
+        const width = clampSize(options.width || EDITOR_DEFAULT_SIZE.width);
+        const height = clampSize(options.height || EDITOR_DEFAULT_SIZE.height);
+        const difficulty = GENERATOR_SETTINGS[options.difficulty] ? options.difficulty : GENERATOR_DIFFICULTY.EASY;
+        const settings = GENERATOR_SETTINGS[difficulty];
+        const random = createSeededRandom(hashSeed(`${seed}:${width}x${height}:${difficulty}`));
+
+        const interior = (width - 2) * (height - 2);
+        const pathLength = Math.max(4, Math.round(interior * settings.path));
+
+        for (let attempt = 0; attempt < this.maxAttempts; attempt++) {
+            const path = this.walkPath(width, height, pathLength, random);
+            if (path.length < Math.max(4, Math.ceil(pathLength / 2))) {
+                continue;
+            }
+
+            const level = {
+                name: options.name || `Generated ${seed}`,
+                width,
+                height,
+                startPos: { x: path[0].x, y: path[0].y },
+                goalPos: { x: path[path.length - 1].x, y: path[path.length - 1].y },
+                grid: this.buildGrid(width, height, path, settings, random),
+                mathDifficulty: settings.mathDifficulty,
+                seed
+            };
+
+            const levelManager = new LevelManager();
+            if (!levelManager.loadLevelConfig(level)) {
+                continue;
+            }
+            const result = new LevelSolver(levelManager, { maxStates: this.maxStates }).solve();
+            if (result.solvable === true && result.moves >= Math.ceil((path.length - 1) * GENERATOR_MIN_SOLUTION)) {
+                level.targetMoves = result.moves;
+                return level;
+            }
+        }
+
+        throw new Error(`Could not generate a solvable ${width}x${height} level from seed "${seed}"`);
+    }
+
+    /**
+     * Walks a random path through the grid's interior that never runs
+     * alongside itself
+     * @returns {Array} [{x, y}, ...] from start to goal (may stop short of `length`)
+     */
+    walkPath(width, height, length, random) {
+        const key = pos => `${pos.x},${pos.y}`;
+        const inside = pos => pos.x > 0 && pos.y > 0 && pos.x < width - 1 && pos.y < height - 1;
+        const start = {
+            x: 1 + Math.floor(random() * (width - 2)),
+            y: 1 + Math.floor(random() * (height - 2))
+        };
+        const path = [start];
+        const visited = new Set([key(start)]);
+
+        while (path.length < length) {
+            const here = path[path.length - 1];
+            const options = DIRECTIONS
+                .map(direction => ({ x: here.x + direction.dx, y: here.y + direction.dy }))
+                .filter(pos => inside(pos) && !visited.has(key(pos)) &&
+                    // The only path cell next to the new one may be the one we came from
+                    DIRECTIONS.every(direction => {
+                        const neighbor = { x: pos.x + direction.dx, y: pos.y + direction.dy };
+                        return (neighbor.x === here.x && neighbor.y === here.y) || !visited.has(key(neighbor));
+                    }));
+            if (options.length === 0) {
+                break;
+            }
+            const next = options[Math.floor(random() * options.length)];
+            path.push(next);
+            visited.add(key(next));
+        }
+
+        return path;
+    }
+
+    /**
+     * Lays out the grid: the path for a player walking it, random tiles elsewhere
+     * @returns {Array} Grid of tile codes
+     */
+    buildGrid(width, height, path, settings, random) {
+        const pick = list => list[Math.floor(random() * list.length)];
+        const primaries = [COLORS.RED, COLORS.BLUE, COLORS.YELLOW];
+        const groundCodes = { red: 'R', blue: 'B', yellow: 'Y' };
+        const changerCodes = { red: 'CR', blue: 'CB', yellow: 'CY' };
+
+        const grid = [];
+        for (let y = 0; y < height; y++) {
+            grid[y] = [];
+            for (let x = 0; x < width; x++) {
+                const border = x === 0 || y === 0 || x === width - 1 || y === height - 1;
+                const roll = random();
+                if (border || roll < settings.walls) {
+                    grid[y][x] = 'O';
+                } else if (roll < settings.walls + settings.pits) {
+                    grid[y][x] = 'E';
+                } else {
+                    grid[y][x] = random() < 0.6 ? groundCodes[pick(primaries)] : 'N';
+                }
+            }
+        }
+
+        // The path, in the color a player walking it has at each step
+        let color = COLORS.RED;
+        const slots = []; // Path cells a key, door or math gate can replace
+        path.forEach((pos, i) => {
+            let code;
+            const roll = random();
+            if (i === 0) {
+                code = 'S';
+            } else if (i === path.length - 1) {
+                code = 'G';
+            } else if (roll < settings.changers) {
+                color = pick(primaries.filter(other => other !== color));
+                code = changerCodes[color];
+            } else if (roll < settings.changers + settings.colored) {
+                code = groundCodes[color];
+            } else if (roll < settings.changers + settings.colored + settings.fragile) {
+                code = 'F';
+            } else {
+                code = 'N';
+            }
+            if (code === 'N' || code === groundCodes[color]) {
+                slots.push(i);
+            }
+            grid[pos.y][pos.x] = code;
+        });
+
+        const takeSlot = () => slots.splice(Math.floor(random() * slots.length), 1)[0];
+        const place = (index, code) => {
+            grid[path[index].y][path[index].x] = code;
+        };
+
+        // Each key comes before its door along the path
+        for (let pair = 0; pair < settings.keys && slots.length >= 2; pair++) {
+            const [keyIndex, doorIndex] = [takeSlot(), takeSlot()].sort((a, b) => a - b);
+            place(keyIndex, 'K');
+            place(doorIndex, 'D');
+        }
+        for (let gate = 0; gate < settings.mathGates && slots.length > 0; gate++) {
+            place(takeSlot(), 'MG');
+        }
+
+        return grid;
+    }
+}
+
+// ============================================
+// TIMER SYSTEM
+// ============================================
+
+/**
+ * TimerSystem - Manages game timing
+ */
+class TimerSystem {
+    constructor() {
+        this.startTime = null;
+        this.elapsedTime = 0;
+        this.running = false;
+        this.paused = false;
+        this.limit = null; // Seconds to count down from (null counts up only)
+    }
+
+    /**
+     * Turns countdown mode on with a limit in seconds, or off with null.
+     * Kept across start() and reset(), so restarts count down again.
+     */
+    setCountdown(limit) {
+        this.limit = typeof limit === 'number' && limit > 0 ? limit : null;
+    }
+
+    /**
+     * Checks if the timer is counting down to a limit
+     */
+    isCountdown() {
+        return this.limit !== null;
+    }
+
+    /**
+     * Gets the seconds left before the limit (null when not counting down)
+     */
+    getRemainingTime() {
+        if (this.limit === null) return null;
+        return Math.max(0, this.limit - this.getElapsedTime());
+    }
+
+    /**
+     * Checks if a countdown has run out
+     */
+    isExpired() {
+        return this.limit !== null && this.getElapsedTime() >= this.limit;
+    }
+
+    /**
+     * Starts the timer
+     */
+    start() {
+        this.startTime = performance.now();
+        this.elapsedTime = 0;
+        this.running = true;
+        this.paused = false;
+    }
+
+    /**
+     * Stops the timer and returns elapsed time
+     */
+    stop() {
+        if (this.running) {
+            this.elapsedTime += (performance.now() - this.startTime) / 1000;
+            this.running = false;
+        }
+        this.paused = false;
+        return this.elapsedTime;
+    }
+
+    /**
+     * Pauses a running timer (time spent paused isn't counted)
+     */
+    pause() {
+        if (this.running) {
+            this.stop();
+            this.paused = true;
+        }
+    }
+
+    /**
+     * Resumes a paused timer
+     */
+    resume() {
+        if (this.paused) {
+            this.startTime = performance.now();
+            this.running = true;
+            this.paused = false;
+        }
+    }
+
+    /**
+     * Checks if the timer is paused
+     */
+    isPaused() {
+        return this.paused;
+    }
+
+    /**
+     * Resets the timer
+     */
+    reset() {
+        this.startTime = null;
+        this.elapsedTime = 0;
+        this.running = false;
+        this.paused = false;
+    }
+
+    /**
+     * Gets the current elapsed time
+     */
+    getElapsedTime() {
+        if (this.running) {
+            return this.elapsedTime + (performance.now() - this.startTime) / 1000;
+        }
+        return this.elapsedTime;
+    }
+
+    /**
+     * Formats time for display
+     */
+    formatTime(seconds) {
+        return seconds.toFixed(2) + 's';
+    }
+}
+
+// ============================================
+// LEADERBOARD SYSTEM
+// ============================================
+
+/**
+ * LeaderboardSystem - Manages per-level high scores with localStorage
+ *
+ * Scores are stored per level under `colorPathLeaderboards`:
+ *   { version: 1, levels: { "<levelName>": [entry, ...], "unknown": [...] } }
+ *
+ * Boards are keyed by level name rather than index (as in ProgressStore),
+ * so a replaced or reordered level pack doesn't inherit another level's
+ * scores.
+ *
+ * Each entry records name, levelIndex, time, moves, stars, hintsUsed,
+ * undosUsed and date. A level keeps every entry that is in its top
+ * `maxEntries` on either view (fastest or fewest moves).
+ *
+ * Scores from the old single global list (`colorPathHighScores`) don't say
+ * which level they came from, so they are migrated into the "unknown" bucket.
+ */
+class LeaderboardSystem {
+    constructor() {
+        this.storageKey = 'colorPathLeaderboards';
+        this.legacyStorageKey = 'colorPathHighScores';
+        this.maxEntries = 10;
+    }
+
+    /**
+     * Gets the storage bucket key (the level's name) for a level index
+     */
+    getLevelKey(levelIndex) {
+        const level = Number.isInteger(levelIndex) ? LEVELS[levelIndex] : null;
+        return level ? level.name : UNKNOWN_LEVEL_KEY;
+    }
+
+    /**
+     * Loads all boards from localStorage, migrating legacy scores if present
+     */
+    loadBoards() {
+        let boards = { version: 1, levels: {} };
+        try {
+            const data = localStorage.getItem(this.storageKey);
+            if (data) {
+                boards = JSON.parse(data);
+            }
+
+            const legacyData = localStorage.getItem(this.legacyStorageKey);
+            if (legacyData) {
+                const unknown = boards.levels[UNKNOWN_LEVEL_KEY] || [];
+                JSON.parse(legacyData).forEach(score => {
+                    unknown.push({
+                        name: score.name,
+                        levelIndex: null,
+                        time: score.time,
+                        moves: null,
+                        stars: null,
+                        hintsUsed: null,
+                        undosUsed: null,
+                        date: score.date
+                    });
+                });
+                boards.levels[UNKNOWN_LEVEL_KEY] = unknown;
+                this.saveBoards(boards);
+                localStorage.removeItem(this.legacyStorageKey);
+            }
+        } catch (error) {
+            console.error('Error loading scores:', error);
+        }
+        return boards;
+    }
+
+    /**
+     * Saves all boards to localStorage
+     */
+    saveBoards(boards) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(boards));
+        } catch (error) {
+            console.error('Error saving scores:', error);
+        }
+    }
+
+    /**
+     * Returns a copy of the scores sorted for a view (one of LEADERBOARD_VIEWS)
+     */
+    sortScores(scores, view) {
+        const byTime = (a, b) => a.time - b.time;
+        // Migrated entries have no move count and sort after everything else
+        const movesOf = entry => (entry.moves === null ? Infinity : entry.moves);
+        const byMoves = (a, b) => movesOf(a) - movesOf(b) || 0;
+
+        if (view === LEADERBOARD_VIEWS.FEWEST_MOVES) {
+            return scores.slice().sort((a, b) => byMoves(a, b) || byTime(a, b));
+        }
+        return scores.slice().sort((a, b) => byTime(a, b) || byMoves(a, b));
+    }
+
+    /**
+     * Adds a new score to its level's leaderboard
+     * @param {string} playerName - Player name
+     * @param {number} time - Completion time in seconds
+     * @param {Object} details - { levelIndex, moves, stars, hintsUsed, undosUsed, replay }
+     * @returns {Object} { fastest, fewestMoves } - Rank of the new score on each
+     *   view (1-10), or -1 if it didn't make that top 10
+     */
+    addScore(playerName, time, details = {}) {
+        const boards = this.loadBoards();
+        const levelKey = this.getLevelKey(details.levelIndex);
+        const scores = boards.levels[levelKey] || [];
+
+        const newEntry = {
+            name: playerName || 'Anonymous',
+            levelIndex: levelKey === UNKNOWN_LEVEL_KEY ? null : details.levelIndex,
+            time: time,
+            moves: typeof details.moves === 'number' ? details.moves : null,
+            stars: typeof details.stars === 'number' ? details.stars : null,
+            hintsUsed: details.hintsUsed || 0,
+            undosUsed: details.undosUsed || 0,
+            mode: details.mode || DIFFICULTY_MODES.NORMAL,
+            replay: details.replay || null,
+            date: new Date().toISOString()
+        };
+        scores.push(newEntry);
+
+        // Keep entries that are in the top 10 of either view
+        const fastest = this.sortScores(scores, LEADERBOARD_VIEWS.FASTEST).slice(0, this.maxEntries);
+        const fewestMoves = this.sortScores(scores, LEADERBOARD_VIEWS.FEWEST_MOVES).slice(0, this.maxEntries);
+        boards.levels[levelKey] = scores.filter(entry =>
+            fastest.includes(entry) || fewestMoves.includes(entry)
+        );
+        this.saveBoards(boards);
+
+        const fastestRank = fastest.indexOf(newEntry);
+        const movesRank = fewestMoves.indexOf(newEntry);
+        return {
+            fastest: fastestRank >= 0 ? fastestRank + 1 : -1,
+            fewestMoves: movesRank >= 0 ? movesRank + 1 : -1
+        };
+    }
+
+    /**
+     * Gets the top scores for a level
+     * @param {number|null} levelIndex - Level index, or null for the unknown-level bucket
+     * @param {string} view - One of LEADERBOARD_VIEWS
+     */
+    getTopScores(levelIndex, view = LEADERBOARD_VIEWS.FASTEST) {
+        const scores = this.loadBoards().levels[this.getLevelKey(levelIndex)] || [];
+        return this.sortScores(scores, view).slice(0, this.maxEntries);
+    }
+
+    /**
+     * Checks whether any migrated scores of unknown level exist
+     */
+    hasUnknownScores() {
+        const unknown = this.loadBoards().levels[UNKNOWN_LEVEL_KEY];
+        return Boolean(unknown && unknown.length > 0);
+    }
+
+    /**
+     * Clears all scores (for testing)
+     */
+    clearScores() {
+        localStorage.removeItem(this.storageKey);
+        localStorage.removeItem(this.legacyStorageKey);
+    }
+}
+
+// ============================================
+// PROGRESS STORE
+// ============================================
+
+/**
+ * ProgressStore - Remembers each player's campaign progress in localStorage
+ *
+ * Storage format:
+ * { version: 1, players: { [playerKey]: { name, levels: { [levelName]: record } } } }
+ * where record is { completed, bestStars, bestTime, bestMoves, completions }.
+ *
+ * Players are keyed by their name (case-insensitive) and levels by their
+ * name rather than index, so progress still lines up after level packs
+ * are reordered or swapped.
+ */
+class ProgressStore {
+    constructor() {
+        this.storageKey = 'colorPathProgress';
+    }
+
+    /**
+     * Loads all progress from localStorage
+     */
+    load() {
+        try {
+            const data = localStorage.getItem(this.storageKey);
+            if (data) {
+                return JSON.parse(data);
+            }
+        } catch (error) {
+            console.error('Error loading progress:', error);
+        }
+        return { version: 1, players: {} };
+    }
+
+    /**
+     * Saves all progress to localStorage
+     */
+    save(data) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(data));
+        } catch (error) {
+            console.error('Error saving progress:', error);
+        }
+    }
+
+    /**
+     * Gets the storage key for a player name
+     */
+    getPlayerKey(playerName) {
+        return (playerName || 'Anonymous').trim().toLowerCase();
+    }
+
+    /**
+     * Gets a player's record for a level
+     * @returns {Object|null} { completed, bestStars, bestTime, bestMoves, completions }
+     */
+    getLevelProgress(playerName, levelName) {
+        const player = this.load().players[this.getPlayerKey(playerName)];
+        return (player && player.levels[levelName]) || null;
+    }
+
+    /**
+     * Records a completed level, keeping the best stars, time and moves
+     * @param {Object} result - { time, moves, stars }
+     * @returns {Object} { firstClear, bestTime, bestMoves, bestStars } - which records were set
+     */
+    recordCompletion(playerName, levelName, result) {
+        const data = this.load();
+        const key = this.getPlayerKey(playerName);
+        const player = data.players[key] || { name: playerName || 'Anonymous', levels: {} };
+        const previous = player.levels[levelName];
+
+        const improved = {
+            firstClear: !previous,
+            bestTime: !previous || result.time < previous.bestTime,
+            bestMoves: !previous || result.moves < previous.bestMoves,
+            bestStars: !previous || result.stars > previous.bestStars
+        };
+        player.levels[levelName] = {
+            completed: true,
+            bestStars: improved.bestStars ? result.stars : previous.bestStars,
+            bestTime: improved.bestTime ? result.time : previous.bestTime,
+            bestMoves: improved.bestMoves ? result.moves : previous.bestMoves,
+            completions: (previous ? previous.completions : 0) + 1
+        };
+
+        data.players[key] = player;
+        this.save(data);
+        return improved;
+    }
+
+    /**
+     * Checks if a level in LEVELS is open to a player: the first level always
+     * is, the rest once the level before it has been completed
+     */
+    isUnlocked(playerName, levelIndex) {
+        if (levelIndex === 0) return true;
+        const level = LEVELS[levelIndex];
+        const previous = LEVELS[levelIndex - 1];
+        if (!level || !previous) return false;
+        return !!(this.getLevelProgress(playerName, previous.name) ||
+            this.getLevelProgress(playerName, level.name));
+    }
+
+    /**
+     * Gets the level a player should continue from: the first one in
+     * LEVELS they haven't completed
+     * @returns {number|null} Level index, or null if every level is done
+     */
+    getContinueLevel(playerName) {
+        const index = LEVELS.findIndex(level => !this.getLevelProgress(playerName, level.name));
+        return index === -1 ? null : index;
+    }
+
+    /**
+     * Checks if a player has completed any level
+     */
+    hasProgress(playerName) {
+        const player = this.load().players[this.getPlayerKey(playerName)];
+        return !!player && Object.keys(player.levels).length > 0;
+    }
+
+    /**
+     * Clears all saved progress
+     */
+    clearProgress() {
+        localStorage.removeItem(this.storageKey);
+    }
+}
+
+// ============================================
+// DAILY CHALLENGE
+// ============================================
+
+/**
+ * DailyChallenge - One generated level per calendar date, with its own board
+ *
+ * The day's level is LevelGenerator's output for the seed `daily-YYYY-MM-DD`
+ * and DAILY_LEVEL_OPTIONS, so everyone gets the same puzzle for a date and a
+ * run can be checked offline by generating the level again.
+ *
+ * Each player gets DAILY_MAX_ATTEMPTS attempts a day (every start or restart
+ * is one) and keeps their best result on the day's board, ranked by time and
+ * then moves. Results are kept apart from LeaderboardSystem's campaign scores.
+ *
+ * Storage format:
+ * { version: 1, days: { [dateKey]: { attempts: { [playerKey]: count }, scores: [entry] } } }
+ * where entry is { name, time, moves, stars, attempt }. Only the last
+ * DAILY_KEEP_DAYS days are kept.
+ */
+class DailyChallenge {
+    /**
+     * @param {LevelGenerator} generator - Builds the day's level
+     */
+    constructor(generator = new LevelGenerator()) {
+        this.storageKey = 'colorPathDaily';
+        this.generator = generator;
+        this.levels = {}; // Generated levels by date key
+    }
+
+    /**
+     * Gets the key for a calendar date (local time)
+     * @returns {string} 'YYYY-MM-DD'
+     */
+    getDateKey(date = new Date()) {
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Gets the level for a date
+     */
+    getLevel(dateKey) {
+        if (!this.levels[dateKey]) {
+            this.levels[dateKey] = this.generator.generate(Object.assign({}, DAILY_LEVEL_OPTIONS, {
+                seed: `daily-${dateKey}`,
+                name: `Daily ${dateKey}`
+            }));
+        }
+        return this.levels[dateKey];
+    }
+
+    /**
+     * Loads all daily data from localStorage
+     */
+    load() {
+        try {
+            const data = localStorage.getItem(this.storageKey);
+            if (data) {
+                return JSON.parse(data);
+            }
+        } catch (error) {
+            console.error('Error loading daily challenge:', error);
+        }
+        return { version: 1, days: {} };
+    }
+
+    /**
+     * Saves all daily data to localStorage, dropping the oldest days
+     */
+    save(data) {
+        const keep = Object.keys(data.days).sort().slice(-DAILY_KEEP_DAYS);
+        const days = {};
+        keep.forEach(dateKey => {
+            days[dateKey] = data.days[dateKey];
+        });
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ version: 1, days }));
+        } catch (error) {
+            console.error('Error saving daily challenge:', error);
+        }
+    }
+
+    /**
+     * Gets the storage key for a player name
+     */
+    getPlayerKey(playerName) {
+        return (playerName || 'Anonymous').trim().toLowerCase();
+    }
+
+    /**
+     * Gets a day's data (a fresh one if nothing was played that day)
+     */
+    getDay(data, dateKey) {
+        return data.days[dateKey] || { attempts: {}, scores: [] };
+    }
+
+    /**
+     * Gets how many attempts a player has used on a date
+     */
+    getAttempts(dateKey, playerName) {
+        return this.getDay(this.load(), dateKey).attempts[this.getPlayerKey(playerName)] || 0;
+    }
+
+    /**
+     * Gets how many attempts a player has left on a date
+     */
+    getAttemptsLeft(dateKey, playerName) {
+        return Math.max(0, DAILY_MAX_ATTEMPTS - this.getAttempts(dateKey, playerName));
+    }
+
+    /**
+     * Uses up one of a player's attempts
+     * @returns {number} The attempt's number (1-based), or 0 if none were left
+     */
+    recordAttempt(dateKey, playerName) {
+        const data = this.load();
+        const day = this.getDay(data, dateKey);
+        const key = this.getPlayerKey(playerName);
+        const used = day.attempts[key] || 0;
+        if (used >= DAILY_MAX_ATTEMPTS) {
+            return 0;
+        }
+        day.attempts[key] = used + 1;
+        data.days[dateKey] = day;
+        this.save(data);
+        return used + 1;
+    }
+
+    /**
+     * Records a cleared attempt, keeping the player's best on the day's board
+     * @param {Object} result - { time, moves, stars, attempt, mode }
+     * @returns {Object} { rank, best } - the player's rank and whether this result is their best
+     */
+    addResult(dateKey, playerName, result) {
+        const data = this.load();
+        const day = this.getDay(data, dateKey);
+        const key = this.getPlayerKey(playerName);
+        const entry = {
+            name: playerName || 'Anonymous',
+            time: result.time,
+            moves: result.moves,
+            stars: result.stars,
+            attempt: result.attempt,
+            mode: result.mode || DIFFICULTY_MODES.NORMAL
+        };
+
+        const index = day.scores.findIndex(score => this.getPlayerKey(score.name) === key);
+        const best = index === -1 || this.compareScores(entry, day.scores[index]) < 0;
+        if (best) {
+            if (index !== -1) day.scores.splice(index, 1);
+            day.scores.push(entry);
+            day.scores.sort((a, b) => this.compareScores(a, b));
+        }
+
+        data.days[dateKey] = day;
+        this.save(data);
+        const rank = day.scores.findIndex(score => this.getPlayerKey(score.name) === key) + 1;
+        return { rank, best };
+    }
+
+    /**
+     * Orders board entries: faster first, then fewer moves
+     */
+    compareScores(a, b) {
+        return a.time - b.time || a.moves - b.moves;
+    }
+
+    /**
+     * Gets the top of a day's board
+     */
+    getTopScores(dateKey, limit = 10) {
+        return this.getDay(this.load(), dateKey).scores.slice(0, limit);
+    }
+
+    /**
+     * Gets a player's best result on a date
+     * @returns {Object|null} Board entry, or null if they haven't cleared it
+     */
+    getResult(dateKey, playerName) {
+        const key = this.getPlayerKey(playerName);
+        return this.getDay(this.load(), dateKey).scores.find(score => this.getPlayerKey(score.name) === key) || null;
+    }
+
+    /**
+     * Formats a result as plain text for sharing
+     */
+    formatResultCard(dateKey, entry) {
+        const level = this.getLevel(dateKey);
+        return [
+            `🎨 Color Path Daily ${dateKey}`,
+            `${'⭐'.repeat(entry.stars)}${'☆'.repeat(3 - entry.stars)}`,
+            `👣 ${entry.moves} moves (target ${level.targetMoves})`,
+            `⏱️ ${entry.time.toFixed(2)}s`,
+            `🎯 Attempt ${entry.attempt}/${DAILY_MAX_ATTEMPTS}`,
+            `🎮 ${(DIFFICULTY_SETTINGS[entry.mode] || DIFFICULTY_SETTINGS[DIFFICULTY_MODES.NORMAL]).label} mode`
+        ].join('\n');
+    }
+
+    /**
+     * Clears all saved daily results and attempts
+     */
+    clearDaily() {
+        localStorage.removeItem(this.storageKey);
+    }
+}
+
+// ============================================
+// REPLAY SYSTEM
+// ============================================
+
+/**
+ * ReplayRecorder - Records a run as a compact input log
+ *
+ * Log format: { v, level, name, mode, time, events: [[t, code, arg], ...] }
+ * where t is milliseconds since the run started and code is one of
+ * REPLAY_EVENTS (moves carry a DIRECTIONS index, answers the text typed).
+ * `mode` is the DIFFICULTY_MODES value, which decides what a death does.
+ * Replaying the same inputs on the same level reproduces the run exactly.
+ */
+class ReplayRecorder {
+    constructor() {
+        this.log = null;
+        this.startTime = 0;
+    }
+
+    /**
+     * Starts a new log
+     * @param {number|null} levelIndex - Index into LEVELS (null for custom levels)
+     * @param {string} levelName - Stored so a replay isn't played on a different level
+     * @param {string} mode - The run's DIFFICULTY_MODES value
+     */
+    start(levelIndex, levelName, mode = DIFFICULTY_MODES.NORMAL) {
+        this.log = { v: REPLAY_VERSION, level: levelIndex, name: levelName, mode, events: [] };
+        this.startTime = performance.now();
+    }
+
+    /**
+     * Records an event (ignored when not recording)
+     */
+    record(code, arg = null) {
+        if (!this.log) return;
+        const t = Math.round(performance.now() - this.startTime);
+        this.log.events.push(arg === null ? [t, code] : [t, code, arg]);
+    }
+
+    /**
+     * Ends the recording and returns the finished log
+     * @param {number} time - Completion time in seconds
+     */
+    finish(time) {
+        const log = this.log;
+        if (log) {
+            log.time = time;
+        }
+        this.log = null;
+        return log;
+    }
+
+    /**
+     * Discards the current recording
+     */
+    stop() {
+        this.log = null;
+    }
+}
+
+/**
+ * ReplayPlayer - Feeds a replay log back through the game
+ *
+ * Moves, undos, redos and restarts go through Game.movePlayer(), undoMove(),
+ * redoMove() and restartLevel(), exactly as they did when recorded. Math answers are taken
+ * from the log by Game.showMathPuzzle() via takeAnswer().
+ */
+class ReplayPlayer {
+    constructor(game, log) {
+        this.game = game;
+        this.log = log;
+        this.index = 0;
+        this.speed = 1;
+        this.playing = false;
+        this.timeoutId = null;
+    }
+
+    /**
+     * Checks if there are events left to play
+     */
+    hasNext() {
+        return this.index < this.log.events.length;
+    }
+
+    /**
+     * Takes the next event if it is a math answer
+     * @returns {string|null} The recorded answer, or null (cancelled)
+     */
+    takeAnswer() {
+        const event = this.log.events[this.index];
+        if (event && event[1] === REPLAY_EVENTS.ANSWER) {
+            this.index++;
+            return event.length > 2 ? event[2] : null;
+        }
+        return null;
+    }
+
+    /**
+     * Plays the next event
+     * @returns {boolean} False if the replay has ended
+     */
+    step() {
+        if (!this.hasNext()) {
+            this.pause();
+            return false;
+        }
+
+        const [, code, arg] = this.log.events[this.index++];
+        switch (code) {
+            case REPLAY_EVENTS.MOVE: {
+                const direction = DIRECTIONS[arg];
+                this.game.movePlayer(direction.dx, direction.dy);
+                break;
+            }
+            case REPLAY_EVENTS.UNDO:
+                this.game.undoMove();
+                break;
+            case REPLAY_EVENTS.REDO:
+                this.game.redoMove();
+                break;
+            case REPLAY_EVENTS.RESTART:
+                this.game.restartLevel();
+                break;
+            case REPLAY_EVENTS.TICK:
+                this.game.tickWorld();
+                break;
+            // Answers are consumed by takeAnswer(); a stray one is skipped
+        }
+
+        this.game.updateReplayControls();
+        return true;
+    }
+
+    /**
+     * Plays the remaining events with their recorded timing
+     */
+    play() {
+        if (this.playing) return;
+        this.playing = true;
+        this.scheduleNext();
+        this.game.updateReplayControls();
+    }
+
+    /**
+     * Pauses playback
+     */
+    pause() {
+        this.playing = false;
+        clearTimeout(this.timeoutId);
+        this.timeoutId = null;
+        this.game.updateReplayControls();
+    }
+
+    /**
+     * Sets the playback speed multiplier
+     */
+    setSpeed(speed) {
+        this.speed = speed;
+        if (this.playing) {
+            clearTimeout(this.timeoutId);
+            this.scheduleNext();
+        }
+    }
+
+    /**
+     * Waits for the gap before the next event, then plays it
+     */
+    scheduleNext() {
+        if (!this.playing) return;
+        if (!this.hasNext()) {
+            this.pause();
+            return;
+        }
+
+        const previousTime = this.index > 0 ? this.log.events[this.index - 1][0] : 0;
+        const gap = Math.min(REPLAY_MAX_GAP, this.log.events[this.index][0] - previousTime);
+        this.timeoutId = setTimeout(() => {
+            this.step();
+            this.scheduleNext();
+        }, Math.max(0, gap) / this.speed);
+    }
+}
+
+// ============================================
+// SOUND MANAGER
+// ============================================
+
+/**
+ * SoundManager - Plays sound effects and background music with Web Audio
+ *
+ * Every sound is synthesized from oscillators (see SOUND_CUES), so there
+ * are no audio files to load. Effects and music go through their own gain
+ * nodes into a master gain; the volumes and the mute toggle are saved to
+ * localStorage. The AudioContext is created on the first sound, since
+ * browsers only allow audio after the player has interacted with the page.
+ * Without Web Audio every method quietly does nothing.
+ */
+class SoundManager {
+    constructor() {
+        this.storageKey = 'colorPathAudio';
+        this.settings = this.loadSettings();
+        this.context = null;     // AudioContext, created on first use
+        this.gains = null;       // { master, sfx, music } gain nodes
+        this.music = null;       // { step, nextTime, intervalId, output } while music plays
+    }
+
+    /**
+     * Loads volume settings from localStorage, falling back to the defaults
+     */
+    loadSettings() {
+        const settings = { ...DEFAULT_AUDIO_SETTINGS };
+        try {
+            const data = localStorage.getItem(this.storageKey);
+            if (data) {
+                const saved = JSON.parse(data);
+                SOUND_CHANNELS.forEach(channel => {
+                    if (typeof saved[channel] === 'number') {
+                        settings[channel] = Math.max(0, Math.min(1, saved[channel]));
+                    }
+                });
+                settings.muted = saved.muted === true;
+            }
+        } catch (error) {
+            console.error('Error loading sound settings:', error);
+        }
+        return settings;
+    }
+
+    /**
+     * Saves volume settings to localStorage
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ version: 1, ...this.settings }));
+        } catch (error) {
+            console.error('Error saving sound settings:', error);
+        }
+    }
+
+    /**
+     * Gets a channel's volume
+     * @param {string} channel - 'master', 'sfx' or 'music'
+     * @returns {number} Volume from 0 to 1
+     */
+    getVolume(channel) {
+        return this.settings[channel];
+    }
+
+    /**
+     * Sets a channel's volume (clamped to 0-1) and saves it
+     */
+    setVolume(channel, volume) {
+        if (!SOUND_CHANNELS.includes(channel)) return;
+        this.settings[channel] = Math.max(0, Math.min(1, Number(volume) || 0));
+        this.saveSettings();
+        this.applyVolumes();
+    }
+
+    /**
+     * Checks if sound is muted
+     */
+    isMuted() {
+        return this.settings.muted;
+    }
+
+    /**
+     * Mutes or unmutes every sound and saves the choice
+     */
+    setMuted(muted) {
+        this.settings.muted = !!muted;
+        this.saveSettings();
+        this.applyVolumes();
+    }
+
+    /**
+     * Flips the mute toggle
+     * @returns {boolean} True if sound is now muted
+     */
+    toggleMute() {
+        this.setMuted(!this.settings.muted);
+        return this.settings.muted;
+    }
+
+    /**
+     * Creates the audio context, or returns null without Web Audio
+     */
+    createContext() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        return AudioContextClass ? new AudioContextClass() : null;
+    }
+
+    /**
+     * Gets the audio context, creating it and the gain nodes on first use
+     * and waking it up if the browser suspended it
+     * @returns {AudioContext|null}
+     */
+    getContext() {
+        if (!this.context) {
+            try {
+                this.context = this.createContext();
+            } catch (error) {
+                console.error('Error creating audio context:', error);
+            }
+            if (!this.context) return null;
+
+            const master = this.context.createGain();
+            master.connect(this.context.destination);
+            const sfx = this.context.createGain();
+            sfx.connect(master);
+            const music = this.context.createGain();
+            music.connect(master);
+            this.gains = { master, sfx, music };
+            this.applyVolumes();
+        }
+        if (this.context.state === 'suspended' && this.context.resume) {
+            // Browsers refuse to resume before a user gesture; the next sound tries again
+            this.context.resume().catch(error => {
+                console.error('Error resuming audio context:', error);
+            });
+        }
+        return this.context;
+    }
+
+    /**
+     * Sets the gain nodes from the saved volumes (muting silences the master)
+     */
+    applyVolumes() {
+        if (!this.gains) return;
+        this.gains.master.gain.value = this.settings.muted ? 0 : this.settings.master;
+        this.gains.sfx.gain.value = this.settings.sfx;
+        this.gains.music.gain.value = this.settings.music;
+    }
+
+    /**
+     * Plays a sound effect
+     * @param {string} cue - Key into SOUND_CUES
+     */
+    play(cue) {
+        const notes = SOUND_CUES[cue];
+        if (!notes || this.settings.muted) return;
+        const context = this.getContext();
+        if (!context) return;
+
+        const now = context.currentTime;
+        notes.forEach(note => this.playNote(note, now + (note.start || 0), this.gains.sfx));
+    }
+
+    /**
+     * Plays one synthesized note: an oscillator with a short attack and an
+     * exponential fade, optionally sliding in pitch
+     * @param {Object} note - { freq, slide?, duration, type, volume }
+     * @param {number} time - When to start, on the audio clock
+     * @param {AudioNode} destination - Gain node to play into
+     */
+    playNote(note, time, destination) {
+        const context = this.context;
+        const oscillator = context.createOscillator();
+        const envelope = context.createGain();
+        oscillator.type = note.type;
+        oscillator.frequency.setValueAtTime(note.freq, time);
+        if (note.slide) {
+            oscillator.frequency.exponentialRampToValueAtTime(note.slide, time + note.duration);
+        }
+        envelope.gain.setValueAtTime(0.0001, time);
+        envelope.gain.exponentialRampToValueAtTime(note.volume, time + 0.01);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, time + note.duration);
+
+        oscillator.connect(envelope);
+        envelope.connect(destination);
+        oscillator.start(time);
+        oscillator.stop(time + note.duration + 0.02);
+    }
+
+    /**
+     * Starts the background music loop (if it isn't playing already).
+     * Notes are scheduled a little ahead on the audio clock so timer jitter
+     * doesn't make the music stutter.
+     */
+    startMusic() {
+        if (this.music) return;
+        const context = this.getContext();
+        if (!context) return;
+
+        // Notes go through their own gain node so stopping cuts off the ones already scheduled
+        const output = context.createGain();
+        output.connect(this.gains.music);
+        this.music = { step: 0, nextTime: context.currentTime + 0.1, intervalId: null, output };
+        this.scheduleMusic();
+        this.music.intervalId = setInterval(() => this.scheduleMusic(), (MUSIC_LOOKAHEAD / 2) * 1000);
+    }
+
+    /**
+     * Schedules the music notes falling within the lookahead window
+     */
+    scheduleMusic() {
+        const music = this.music;
+        if (!music) return;
+
+        const until = this.context.currentTime + MUSIC_LOOKAHEAD;
+        while (music.nextTime < until) {
+            const step = music.step % MUSIC_MELODY.length;
+            if (MUSIC_MELODY[step]) {
+                this.playNote({ freq: MUSIC_MELODY[step], duration: MUSIC_BEAT * 0.9, type: 'triangle', volume: 0.25 },
+                    music.nextTime, music.output);
+            }
+            if (step % 4 === 0) {
+                const bass = MUSIC_BASS[(step / 4) % MUSIC_BASS.length];
+                this.playNote({ freq: bass, duration: MUSIC_BEAT * 3.5, type: 'sine', volume: 0.35 },
+                    music.nextTime, music.output);
+            }
+            music.step++;
+            music.nextTime += MUSIC_BEAT;
+        }
+    }
+
+    /**
+     * Stops the background music, silencing notes already scheduled
+     */
+    stopMusic() {
+        if (!this.music) return;
+        clearInterval(this.music.intervalId);
+        this.music.output.disconnect();
+        this.music = null;
+    }
+}
+
+// ============================================
+// ANIMATION SYSTEM
+// ============================================
+
+/**
+ * AnimationSystem - Purely visual animations layered over the game state
+ *
+ * Game logic still resolves each move instantly; this only decides where
+ * the player is drawn and which effects play. The player slides between
+ * tiles, shrinks and spins when falling into a pit, fragile tiles crumble,
+ * and color changes and goals burst into particles. Effects caused by a
+ * move start once the slide onto the tile ends. While isBusy() the game
+ * queues input (see InputHandler) and holds back the failure and success
+ * screens, so what the player sees always matches the game state.
+ * All times are performance.now() milliseconds.
+ */
+class AnimationSystem {
+    constructor() {
+        this.clear();
+    }
+
+    /**
+     * Stops every animation (the player snaps to their real position)
+     */
+    clear() {
+        this.playerMove = null;  // { from, to, start, duration }
+        this.playerFall = null;  // { x, y, start, duration }
+        this.effects = [];       // { type, start, duration, blocking, ... }
+    }
+
+    /**
+     * Gets when the player's current slide ends
+     */
+    getMoveEnd(now) {
+        return this.playerMove ? Math.max(now, this.playerMove.start + this.playerMove.duration) : now;
+    }
+
+    /**
+     * Slides the player from one tile to the next. A slide that is still
+     * running continues from where the player is drawn.
+     */
+    startMove(from, to, now) {
+        const current = this.playerMove && now < this.playerMove.start + this.playerMove.duration ?
+            this.getMovePosition(now) : from;
+        this.playerMove = { from: current, to, start: now, duration: MOVE_ANIMATION_DURATION };
+    }
+
+    /**
+     * Gets the player's drawn position during the slide (eased)
+     */
+    getMovePosition(now) {
+        const move = this.playerMove;
+        const t = Math.min(1, Math.max(0, (now - move.start) / move.duration));
+        const eased = 1 - (1 - t) * (1 - t);
+        return {
+            x: move.from.x + (move.to.x - move.from.x) * eased,
+            y: move.from.y + (move.to.y - move.from.y) * eased
+        };
+    }
+
+    /**
+     * Makes the player fall into the pit at (x, y) after their slide
+     */
+    startFall(x, y, now) {
+        this.playerFall = { x, y, start: this.getMoveEnd(now), duration: FALL_ANIMATION_DURATION };
+    }
+
+    /**
+     * Crumbles a fragile tile: it is drawn intact until the slide onto it
+     * ends, then breaks into falling fragments
+     * @param {string} color - CSS color of the tile
+     */
+    addDissolve(x, y, color, now) {
+        this.effects.push({ type: 'dissolve', x, y, color, start: this.getMoveEnd(now), duration: DISSOLVE_DURATION, blocking: false });
+    }
+
+    /**
+     * Bursts particles out of the centre of a tile
+     * @param {string} color - CSS color of the particles
+     * @param {number} count - Number of particles
+     */
+    addBurst(x, y, color, now, count = 16) {
+        const start = this.getMoveEnd(now);
+        for (let i = 0; i < count; i++) {
+            const angle = (i / count) * Math.PI * 2 + Math.random() * 0.4;
+            const speed = 1.5 + Math.random() * 1.5; // Tiles per second
+            this.effects.push({
+                type: 'particle',
+                x: x + 0.5,
+                y: y + 0.5,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                size: 0.06 + Math.random() * 0.06, // Fraction of a tile
+                color,
+                start,
+                duration: PARTICLE_LIFETIME,
+                blocking: false
+            });
+        }
+    }
+
+    /**
+     * Celebrates reaching the goal with a multi-colored burst, holding the
+     * success screen back until it has played
+     */
+    addGoalCelebration(x, y, now) {
+        [COLORS.RED, COLORS.BLUE, COLORS.YELLOW, COLORS.NEUTRAL].forEach(color => {
+            this.addBurst(x, y, COLOR_VALUES[color], now, 8);
+        });
+        this.effects.push({ type: 'hold', start: this.getMoveEnd(now), duration: GOAL_ANIMATION_DURATION, blocking: true });
+    }
+
+    /**
+     * Checks if an animation that input and screens must wait for is running
+     */
+    isBusy(now) {
+        if (this.playerMove && now < this.playerMove.start + this.playerMove.duration) return true;
+        if (this.playerFall && now < this.playerFall.start + this.playerFall.duration) return true;
+        return this.effects.some(effect => effect.blocking && now < effect.start + effect.duration);
+    }
+
+    /**
+     * Checks if anything is still animating (so the player layer must be redrawn)
+     */
+    hasActive(now) {
+        return this.isBusy(now) || this.effects.length > 0;
+    }
+
+    /**
+     * Drops finished effects
+     */
+    update(now) {
+        this.effects = this.effects.filter(effect => now < effect.start + effect.duration);
+    }
+
+    /**
+     * Gets how to draw the player
+     * @returns {Object} { x, y, scale, rotation } with x and y in (fractional) tiles
+     */
+    getPlayerState(player, now) {
+        const fall = this.playerFall;
+        if (this.playerMove && now < this.playerMove.start + this.playerMove.duration) {
+            return { ...this.getMovePosition(now), scale: 1, rotation: 0 };
+        }
+        if (fall) {
+            const t = Math.min(1, Math.max(0, (now - fall.start) / fall.duration));
+            return { x: fall.x, y: fall.y, scale: 1 - t, rotation: t * Math.PI * 2 };
+        }
+        const pos = player.getPosition();
+        return { x: pos.x, y: pos.y, scale: 1, rotation: 0 };
+    }
+
+    /**
+     * Draws effects that belong under the player (crumbling tiles)
+     */
+    drawBelow(ctx, tileSize, now) {
+        this.effects.forEach(effect => {
+            if (effect.type !== 'dissolve') return;
+            const t = Math.min(1, Math.max(0, (now - effect.start) / effect.duration));
+            const pieces = 4;
+            const pieceSize = tileSize / pieces;
+            ctx.globalAlpha = 1 - t;
+            ctx.fillStyle = effect.color;
+            for (let row = 0; row < pieces; row++) {
+                for (let col = 0; col < pieces; col++) {
+                    // Pieces shrink and drop, the outer ones a little faster
+                    const shrink = pieceSize * (1 - t) * (0.7 + 0.3 * ((row + col) % 2));
+                    const drop = t * tileSize * 0.3 * (1 + row / pieces);
+                    ctx.fillRect(
+                        effect.x * tileSize + col * pieceSize + (pieceSize - shrink) / 2,
+                        effect.y * tileSize + row * pieceSize + (pieceSize - shrink) / 2 + drop,
+                        shrink, shrink);
+                }
+            }
+            ctx.globalAlpha = 1;
+        });
+    }
+
+    /**
+     * Draws effects that belong over the player (particles)
+     */
+    drawAbove(ctx, tileSize, now) {
+        this.effects.forEach(effect => {
+            if (effect.type !== 'particle' || now < effect.start) return;
+            const seconds = (now - effect.start) / 1000;
+            const t = (now - effect.start) / effect.duration;
+            const x = (effect.x + effect.vx * seconds) * tileSize;
+            const y = (effect.y + effect.vy * seconds + 2 * seconds * seconds) * tileSize; // A little gravity
+            ctx.globalAlpha = Math.max(0, 1 - t);
+            ctx.fillStyle = effect.color;
+            ctx.beginPath();
+            ctx.arc(x, y, effect.size * tileSize, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        ctx.globalAlpha = 1;
+    }
+}
+
+// ============================================
+// RENDERER
+// ============================================
+
+/**
+ * Renderer - Handles all canvas drawing operations
+ *
+ * Tiles are drawn at a computed tile size: the level is fitted to the
+ * viewport it is given (never below MIN_TILE_SIZE or above BASE_TILE_SIZE),
+ * then scaled by the zoom level. A level that still doesn't fit is shown
+ * through a camera that follows the player. The player can cross a dead zone
+ * in the middle of the view before it pans, and it catches up smoothly.
+ * The canvas backing store is sized in device pixels so tiles stay crisp on
+ * high-DPI screens; all drawing is in CSS pixels of the level ("world").
+ *
+ * Tiles are pre-rendered to an offscreen layer covering the whole level and
+ * copied to the screen, so a frame only repaints tiles that changed or
+ * animate (see draw()). The player can be given its own canvas stacked on
+ * top of the board.
+ */
+class Renderer {
+    /**
+     * @param {HTMLCanvasElement} canvas - The board canvas
+     * @param {HTMLCanvasElement} [playerCanvas] - Canvas over the board for the player;
+     *   without it the player is drawn on the board canvas
+     */
+    constructor(canvas, playerCanvas = null) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.playerLayer = playerCanvas;
+        this.playerCtx = playerCanvas ? playerCanvas.getContext('2d') : this.ctx;
+        this.tileLayer = null;               // Offscreen canvas with every tile's static art
+        this.tileLayerCtx = null;
+        this.tileKeys = null;                // getTileKey() of each tile as drawn on the layer
+        this.animatedCells = [];             // Cells repainted every frame
+        this.drawnCamera = { x: null, y: null }; // Camera (device pixels) of the last composed frame
+        this.playerCell = null;              // Where the player was drawn last frame
+        this.playerLayerAnimated = false;    // Whether last frame had animations on the player layer
+        this.stats = { fullRedraw: false, tilesDrawn: 0 }; // What the last frame redrew
+        this.tileSize = BASE_TILE_SIZE;
+        this.zoom = 1;
+        this.pixelRatio = 1;
+        this.levelSize = null;               // { width, height } in tiles
+        this.viewport = null;                // Space the canvas may fill, in CSS pixels
+        this.view = { width: 0, height: 0 }; // Visible area, in CSS pixels
+        this.camera = { x: 0, y: 0 };        // Top-left of the view in world pixels
+        this.lastFrameTime = null;
+    }
+
+    /**
+     * Initializes the canvas size based on level dimensions
+     * @param {number} width - Level width in tiles
+     * @param {number} height - Level height in tiles
+     * @param {Object} [viewport] - { width, height } in CSS pixels to fit the
+     *   level into. Without it the whole level is drawn at BASE_TILE_SIZE and
+     *   left to CSS to scale.
+     */
+    initCanvas(width, height, viewport = null) {
+        this.levelSize = { width, height };
+        this.viewport = viewport;
+
+        if (viewport) {
+            const fit = Math.floor(Math.min(viewport.width / width, viewport.height / height));
+            this.tileSize = Math.round(Math.max(MIN_TILE_SIZE, Math.min(BASE_TILE_SIZE, fit)) * this.zoom);
+            this.pixelRatio = window.devicePixelRatio || 1;
+            this.view = {
+                width: Math.min(width * this.tileSize, Math.floor(viewport.width)),
+                height: Math.min(height * this.tileSize, Math.floor(viewport.height))
+            };
+            this.canvas.style.width = `${this.view.width}px`;
+            this.canvas.style.height = `${this.view.height}px`;
+        } else {
+            this.tileSize = Math.round(BASE_TILE_SIZE * this.zoom);
+            this.pixelRatio = 1;
+            this.view = { width: width * this.tileSize, height: height * this.tileSize };
+        }
+
+        this.canvas.width = Math.round(this.view.width * this.pixelRatio);
+        this.canvas.height = Math.round(this.view.height * this.pixelRatio);
+        if (this.playerLayer) {
+            this.playerLayer.width = this.canvas.width;
+            this.playerLayer.height = this.canvas.height;
+            this.playerLayer.style.width = this.canvas.style.width;
+            this.playerLayer.style.height = this.canvas.style.height;
+        }
+
+        // Resizing wipes the canvases and changes the tile size, so start over
+        this.tileKeys = null;
+        this.drawnCamera = { x: null, y: null };
+        this.playerCell = null;
+        this.camera.x = this.clampCameraAxis(this.camera.x, this.view.width, width * this.tileSize);
+        this.camera.y = this.clampCameraAxis(this.camera.y, this.view.height, height * this.tileSize);
+    }
+
+    /**
+     * Sets the zoom level and re-fits the canvas
+     */
+    setZoom(zoom) {
+        this.zoom = zoom;
+        if (this.levelSize) {
+            this.initCanvas(this.levelSize.width, this.levelSize.height, this.viewport);
+        }
+    }
+
+    /**
+     * Checks if the level is bigger than the view, so the camera scrolls
+     */
+    isScrolling() {
+        return !!this.levelSize && (this.levelSize.width * this.tileSize > this.view.width ||
+            this.levelSize.height * this.tileSize > this.view.height);
+    }
+
+    /**
+     * Keeps one camera axis within the level
+     */
+    clampCameraAxis(value, viewSize, worldSize) {
+        return Math.max(0, Math.min(worldSize - viewSize, value));
+    }
+
+    /**
+     * Gets where one camera axis should be so that a point stays inside the
+     * dead zone in the middle of the view
+     * @param {number} camera - Current camera position on this axis
+     * @param {number} point - The player's centre on this axis, in world pixels
+     */
+    getCameraAxisTarget(camera, point, viewSize, worldSize) {
+        const margin = viewSize * (1 - CAMERA_DEAD_ZONE) / 2;
+        let target = camera;
+        if (point < camera + margin) {
+            target = point - margin;
+        } else if (point > camera + viewSize - margin) {
+            target = point - viewSize + margin;
+        }
+        return this.clampCameraAxis(target, viewSize, worldSize);
+    }
+
+    /**
+     * Gets the camera position that keeps the player in the dead zone
+     */
+    getCameraTarget(player) {
+        const pos = player.getPosition();
+        return {
+            x: this.getCameraAxisTarget(this.camera.x, (pos.x + 0.5) * this.tileSize,
+                this.view.width, this.levelSize.width * this.tileSize),
+            y: this.getCameraAxisTarget(this.camera.y, (pos.y + 0.5) * this.tileSize,
+                this.view.height, this.levelSize.height * this.tileSize)
+        };
+    }
+
+    /**
+     * Moves the camera straight to the player, centring them where the level allows
+     */
+    snapCamera(player) {
+        if (!this.levelSize) return;
+        const pos = player.getPosition();
+        this.camera.x = this.clampCameraAxis((pos.x + 0.5) * this.tileSize - this.view.width / 2,
+            this.view.width, this.levelSize.width * this.tileSize);
+        this.camera.y = this.clampCameraAxis((pos.y + 0.5) * this.tileSize - this.view.height / 2,
+            this.view.height, this.levelSize.height * this.tileSize);
+        this.lastFrameTime = null;
+    }
+
+    /**
+     * Eases the camera toward the player, framerate-independently
+     * @param {number} now - Frame time in ms (performance.now())
+     */
+    followPlayer(player, now) {
+        const dt = this.lastFrameTime === null ? 0 : Math.min(0.1, (now - this.lastFrameTime) / 1000);
+        this.lastFrameTime = now;
+        if (!this.levelSize) return;
+
+        const target = this.getCameraTarget(player);
+        const blend = 1 - Math.exp(-CAMERA_PAN_SPEED * dt);
+        ['x', 'y'].forEach(axis => {
+            const distance = target[axis] - this.camera[axis];
+            this.camera[axis] = Math.abs(distance) < 0.5 ? target[axis] : this.camera[axis] + distance * blend;
+        });
+    }
+
+    /**
+     * Converts a point on the page into the grid cell under it, allowing
+     * for the camera and for the canvas being scaled by CSS
+     * @returns {Object|null} { x, y } (may be outside the level), or null if the canvas isn't laid out
+     */
+    cellAt(clientX, clientY) {
+        if (!this.canvas.clientWidth || !this.canvas.clientHeight) return null;
+        const rect = this.canvas.getBoundingClientRect();
+        const scaleX = this.view.width / this.canvas.clientWidth;
+        const scaleY = this.view.height / this.canvas.clientHeight;
+        return {
+            x: Math.floor(((clientX - rect.left - this.canvas.clientLeft) * scaleX + this.camera.x) / this.tileSize),
+            y: Math.floor(((clientY - rect.top - this.canvas.clientTop) * scaleY + this.camera.y) / this.tileSize)
+        };
+    }
+
+    /**
+     * Clears the entire canvas and sets up the transform for drawing in
+     * world pixels
+     */
+    clear() {
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.applyViewTransform(this.ctx);
+    }
+
+    /**
+     * Blanks the board and player layer (the game is paused, so the level
+     * can't be studied with the clock stopped). The next draw() recomposes
+     * the whole view.
+     */
+    hideBoard() {
+        this.clear();
+        if (this.playerLayer) {
+            this.playerCtx.setTransform(1, 0, 0, 1, 0, 0);
+            this.playerCtx.clearRect(0, 0, this.playerLayer.width, this.playerLayer.height);
+            this.applyViewTransform(this.playerCtx);
+        }
+        this.drawnCamera = { x: null, y: null };
+        this.playerCell = null;
+    }
+
+    /**
+     * Draws the entire game state, redrawing only what changed
+     *
+     * Tiles are copied from the static tile layer. Each frame only the
+     * animated tiles (glow, goal pulse) and tiles whose state changed are
+     * repainted; the whole view is recomposed only when the camera moves or
+     * the layer is rebuilt. The player is drawn on its own layer.
+     * @param {AnimationSystem} [animations] - Where to draw the player and which effects to add
+     */
+    draw(levelManager, player, animations = null) {
+        const now = performance.now();
+        this.followPlayer(player, now);
+        const { rebuilt, changed } = this.syncTileLayer(levelManager);
+        if (animations) animations.update(now);
+        const animating = !!animations && animations.hasActive(now);
+
+        const cameraX = Math.round(this.camera.x * this.pixelRatio);
+        const cameraY = Math.round(this.camera.y * this.pixelRatio);
+        // Sharing the board canvas, moving sprites and effects would leave trails
+        const sharedCanvasAnimating = this.playerCtx === this.ctx && (animating || this.playerLayerAnimated);
+        const fullRedraw = rebuilt || sharedCanvasAnimating ||
+            cameraX !== this.drawnCamera.x || cameraY !== this.drawnCamera.y;
+        this.drawnCamera = { x: cameraX, y: cameraY };
+        this.stats = { fullRedraw, tilesDrawn: 0 };
+
+        if (fullRedraw) {
+            this.clear();
+            this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+            this.ctx.drawImage(this.tileLayer, cameraX, cameraY, this.canvas.width, this.canvas.height,
+                0, 0, this.canvas.width, this.canvas.height);
+            this.applyViewTransform(this.ctx);
+        }
+
+        // Repaint changed and animated tiles in view (each cell once)
+        const cells = new Map();
+        const addCell = (x, y) => {
+            if (this.isInView(x, y)) cells.set(`${x},${y}`, { x, y });
+        };
+        if (!fullRedraw) changed.forEach(({ x, y }) => addCell(x, y));
+        this.animatedCells.forEach(({ x, y }) => addCell(x, y));
+        // Without a separate player layer the player's old cell must be cleaned up too
+        if (this.playerCtx === this.ctx && this.playerCell) addCell(this.playerCell.x, this.playerCell.y);
+
+        const time = Date.now() / 1000;
+        cells.forEach(({ x, y }) => this.repaintTile(x, y, levelManager.getTile(x, y), time));
+
+        this.drawPlayerLayer(player, fullRedraw, animations, animating, now);
+    }
+
+    /**
+     * Sets a context's transform to draw in world pixels: device pixel ratio
+     * and camera, rounded to whole device pixels so tile edges stay sharp
+     */
+    applyViewTransform(ctx) {
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio,
+            -Math.round(this.camera.x * this.pixelRatio), -Math.round(this.camera.y * this.pixelRatio));
+    }
+
+    /**
+     * Checks if a cell is at least partly in view
+     */
+    isInView(x, y) {
+        const size = this.tileSize;
+        return (x + 1) * size > this.camera.x && x * size < this.camera.x + this.view.width &&
+            (y + 1) * size > this.camera.y && y * size < this.camera.y + this.view.height;
+    }
+
+    /**
+     * Gets a key describing how a tile looks, to spot tiles that need redrawing
+     */
+    getTileKey(tile) {
+        return `${tile.type}|${tile.color}|${!!tile.locked}|${!!tile.collected}|${!!tile.used}|${tile.question || ''}|` +
+            `${!!tile.closed}|${!!tile.patrol}|${!!tile.reached}`;
+    }
+
+    /**
+     * Brings the static tile layer up to date with the level: rebuilds it
+     * after initCanvas() or when the level size changes, otherwise redraws
+     * just the tiles whose state changed
+     * @returns {Object} { rebuilt, changed: [{ x, y }] }
+     */
+    syncTileLayer(levelManager) {
+        const { width, height } = levelManager.getDimensions();
+        const size = this.tileSize;
+        const rebuild = !this.tileKeys || this.tileKeys.length !== height || this.tileKeys[0].length !== width;
+
+        if (rebuild) {
+            if (!this.tileLayer) {
+                this.tileLayer = document.createElement('canvas');
+                this.tileLayerCtx = this.tileLayer.getContext('2d');
+            }
+            this.tileLayer.width = Math.round(width * size * this.pixelRatio);
+            this.tileLayer.height = Math.round(height * size * this.pixelRatio);
+            this.tileLayerCtx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+            this.tileKeys = [];
+        }
+
+        const changed = [];
+        let animationChanged = rebuild;
+        for (let y = 0; y < height; y++) {
+            if (rebuild) this.tileKeys.push([]);
+            for (let x = 0; x < width; x++) {
+                const tile = levelManager.getTile(x, y);
+                const key = this.getTileKey(tile);
+                if (!rebuild && this.tileKeys[y][x] === key) continue;
+
+                this.drawTileBase(this.tileLayerCtx, x, y, tile);
+                this.tileKeys[y][x] = key;
+                if (!rebuild) {
+                    changed.push({ x, y });
+                    animationChanged = true;
+                }
+            }
+        }
+
+        if (animationChanged) {
+            this.animatedCells = [];
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    if (this.isAnimatedTile(levelManager.getTile(x, y))) this.animatedCells.push({ x, y });
+                }
+            }
+        }
+        return { rebuilt: rebuild, changed };
+    }
+
+    /**
+     * Repaints one tile on the visible canvas from the tile layer, adding its
+     * animation. Drawing is clipped to the tile so glows don't smear into
+     * neighbours that aren't being repainted.
+     */
+    repaintTile(x, y, tile, time) {
+        const size = this.tileSize;
+        const ratio = this.pixelRatio;
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.rect(x * size, y * size, size, size);
+        this.ctx.clip();
+        this.ctx.drawImage(this.tileLayer, x * size * ratio, y * size * ratio, size * ratio, size * ratio,
+            x * size, y * size, size, size);
+        if (this.isAnimatedTile(tile)) {
+            this.drawTileAnimation(this.ctx, x, y, tile, time);
+        }
+        this.ctx.restore();
+        this.stats.tilesDrawn++;
+    }
+
+    /**
+     * Draws the player and effects on the player layer, clearing only the
+     * cell the player was drawn in last frame (or the whole layer after a
+     * full redraw or while anything animates)
+     */
+    drawPlayerLayer(player, fullRedraw, animations, animating, now) {
+        const ctx = this.playerCtx;
+        if (ctx !== this.ctx) {
+            if (fullRedraw || !this.playerCell || animating || this.playerLayerAnimated) {
+                ctx.setTransform(1, 0, 0, 1, 0, 0);
+                ctx.clearRect(0, 0, this.playerLayer.width, this.playerLayer.height);
+                this.applyViewTransform(ctx);
+            } else {
+                ctx.clearRect(this.playerCell.x * this.tileSize, this.playerCell.y * this.tileSize,
+                    this.tileSize, this.tileSize);
+            }
+        }
+        if (animations) {
+            animations.drawBelow(ctx, this.tileSize, now);
+            this.drawPlayer(player, animations.getPlayerState(player, now));
+            animations.drawAbove(ctx, this.tileSize, now);
+        } else {
+            this.drawPlayer(player);
+        }
+        this.playerCell = player.getPosition();
+        this.playerLayerAnimated = animating;
+    }
+
+    /**
+     * Checks if a tile has an animation (glow or pulse) and must be
+     * repainted every frame
+     */
+    isAnimatedTile(tile) {
+        switch (tile.type) {
+            case TILE_TYPES.COLOR_CHANGE:
+            case TILE_TYPES.COLOR_MIX:
+            case TILE_TYPES.GOAL:
+            case TILE_TYPES.TELEPORT:
+                return true;
+            case TILE_TYPES.MATH_GATE:
+                return tile.locked;
+            case TILE_TYPES.KEY:
+                return !tile.collected;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Gets the fill color for a tile in its current state
+     */
+    getTileColor(tile) {
+        switch (tile.type) {
+            case TILE_TYPES.EMPTY:
+                return COLOR_VALUES.empty;
+            case TILE_TYPES.OBSTACLE:
+                return COLOR_VALUES.obstacle;
+            case TILE_TYPES.START:
+                return COLOR_VALUES.start;
+            case TILE_TYPES.GOAL:
+                return COLOR_VALUES.goal;
+            case TILE_TYPES.MATH_GATE:
+                return tile.locked ? COLOR_VALUES.mathGate : COLOR_VALUES.neutral;
+            case TILE_TYPES.KEY:
+                return tile.collected ? COLOR_VALUES.neutral : COLOR_VALUES.key;
+            case TILE_TYPES.DOOR:
+                return tile.locked ? COLOR_VALUES.door : COLOR_VALUES.neutral;
+            case TILE_TYPES.FRAGILE:
+                return tile.used ? COLOR_VALUES.empty : COLOR_VALUES.fragile;
+            case TILE_TYPES.TELEPORT:
+                return COLOR_VALUES.teleport;
+            case TILE_TYPES.WASH:
+                return COLOR_VALUES.wash;
+            case TILE_TYPES.CHECKPOINT:
+                return COLOR_VALUES.checkpoint;
+            case TILE_TYPES.COLOR_CHANGE:
+            case TILE_TYPES.COLOR_MIX:
+            case TILE_TYPES.GROUND:
+                return COLOR_VALUES[tile.color];
+            default:
+                return COLOR_VALUES.neutral;
+        }
+    }
+
+    /**
+     * Draws a single tile with enhanced visuals, animation included
+     * (used by the level editor, which has no tile layer)
+     */
+    drawTile(x, y, tile) {
+        this.drawTileBase(this.ctx, x, y, tile);
+        if (this.isAnimatedTile(tile)) {
+            this.drawTileAnimation(this.ctx, x, y, tile, Date.now() / 1000);
+        }
+    }
+
+    /**
+     * Draws the parts of a tile that don't move: background, border and symbol
+     */
+    drawTileBase(ctx, x, y, tile) {
+        const size = this.tileSize;
+        const pixelX = x * size;
+        const pixelY = y * size;
+        const fillColor = this.getTileColor(tile);
+
+        // Draw tile background with gradient
+        const gradient = ctx.createLinearGradient(pixelX, pixelY, pixelX + size, pixelY + size);
+        gradient.addColorStop(0, fillColor);
+        gradient.addColorStop(1, this.adjustBrightness(fillColor, -20));
+        ctx.fillStyle = gradient;
+        ctx.fillRect(pixelX, pixelY, size, size);
+
+        // Draw tile border
+        ctx.strokeStyle = '#2c3e50';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(pixelX, pixelY, size, size);
+
+        // Draw special symbols
+        ctx.fillStyle = '#fff';
+        ctx.font = `bold ${Math.round(size * 0.4)}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        const centerX = pixelX + size / 2;
+        const centerY = pixelY + size / 2;
+
+        if (tile.type === TILE_TYPES.COLOR_CHANGE) {
+            ctx.fillText('⚡', centerX, centerY);
+        } else if (tile.type === TILE_TYPES.COLOR_MIX) {
+            ctx.font = `bold ${Math.round(size * 0.6)}px Arial`;
+            ctx.fillText('+', centerX, centerY);
+        } else if (tile.type === TILE_TYPES.WASH) {
+            ctx.fillText('🧼', centerX, centerY);
+        } else if (tile.type === TILE_TYPES.START) {
+            ctx.fillText('🏠', centerX, centerY);
+        } else if (tile.type === TILE_TYPES.MATH_GATE && tile.locked) {
+            ctx.font = `bold ${Math.round(size * 0.27)}px Arial`;
+            ctx.fillStyle = '#fff';
+            ctx.fillText('🔢', centerX, centerY - size * 0.13);
+            ctx.font = `bold ${Math.round(size * 0.2)}px Arial`;
+            if (tile.question) {
+                ctx.fillText(tile.question, centerX, centerY + size * 0.13);
+            }
+        } else if (tile.type === TILE_TYPES.KEY && !tile.collected) {
+            ctx.fillText('🔑', centerX, centerY);
+        } else if (tile.type === TILE_TYPES.DOOR && tile.locked) {
+            ctx.fillText('🚪', centerX, centerY);
+        } else if (tile.type === TILE_TYPES.FRAGILE && !tile.used) {
+            ctx.fillStyle = '#fff';
+            ctx.font = `bold ${Math.round(size * 0.33)}px Arial`;
+            ctx.fillText('⚠️', centerX, centerY);
+        } else if (tile.type === TILE_TYPES.TELEPORT) {
+            ctx.fillText('🌀', centerX, centerY);
+        } else if (tile.type === TILE_TYPES.CHECKPOINT) {
+            // The flag goes up once the checkpoint is reached
+            ctx.fillText(tile.reached ? '🚩' : '🏳️', centerX, centerY);
+        }
+
+        this.drawHazard(ctx, x, y, tile);
+    }
+
+    /**
+     * Draws hazards on a tile: a cycling tile's marker, a timed gate's frame
+     * (bars while closed) and a patrolling obstacle
+     */
+    drawHazard(ctx, x, y, tile) {
+        const size = this.tileSize;
+        const pixelX = x * size;
+        const pixelY = y * size;
+
+        if (tile.cycling) {
+            ctx.fillStyle = '#fff';
+            ctx.font = `bold ${Math.round(size * 0.25)}px Arial`;
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'top';
+            ctx.fillText('↻', pixelX + size - 3, pixelY + 2);
+        }
+
+        if (tile.timed) {
+            ctx.strokeStyle = '#2c3e50';
+            ctx.lineWidth = Math.max(2, size * 0.06);
+            if (tile.closed) {
+                ctx.fillStyle = 'rgba(44, 62, 80, 0.85)';
+                ctx.fillRect(pixelX, pixelY, size, size);
+                ctx.strokeStyle = '#bdc3c7';
+                ctx.beginPath();
+                for (let bar = 1; bar <= 3; bar++) {
+                    ctx.moveTo(pixelX + (size * bar) / 4, pixelY + 2);
+                    ctx.lineTo(pixelX + (size * bar) / 4, pixelY + size - 2);
+                }
+                ctx.stroke();
+            } else {
+                ctx.setLineDash([size * 0.12, size * 0.08]);
+                ctx.strokeRect(pixelX + 3, pixelY + 3, size - 6, size - 6);
+                ctx.setLineDash([]);
+            }
+        }
+
+        if (tile.patrol) {
+            const centerX = pixelX + size / 2;
+            const centerY = pixelY + size / 2;
+            ctx.fillStyle = '#c0392b';
+            ctx.beginPath();
+            // A spiked ball
+            for (let point = 0; point < 16; point++) {
+                const angle = (point / 16) * Math.PI * 2;
+                const radius = size * (point % 2 === 0 ? 0.4 : 0.28);
+                ctx.lineTo(centerX + Math.cos(angle) * radius, centerY + Math.sin(angle) * radius);
+            }
+            ctx.closePath();
+            ctx.fill();
+            ctx.strokeStyle = '#2c3e50';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * Draws the moving parts of an animated tile over its base: the glow
+     * around interactive tiles and the goal flag's pulse
+     * @param {number} time - Seconds, drives the animation
+     */
+    drawTileAnimation(ctx, x, y, tile, time) {
+        const size = this.tileSize;
+        const pixelX = x * size;
+        const pixelY = y * size;
+        const fillColor = this.getTileColor(tile);
+
+        // Glow effect for interactive tiles
+        const glow = Math.sin(time * 2) * 0.3 + 0.7;
+        ctx.shadowBlur = 10 * glow;
+        ctx.shadowColor = fillColor;
+        ctx.strokeStyle = '#2c3e50';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(pixelX, pixelY, size, size);
+        ctx.shadowBlur = 0;
+
+        if (tile.type === TILE_TYPES.GOAL) {
+            const scale = 1 + Math.sin(time * 3) * 0.1;
+            ctx.save();
+            ctx.translate(pixelX + size / 2, pixelY + size / 2);
+            ctx.scale(scale, scale);
+            ctx.fillStyle = '#fff';
+            ctx.font = `bold ${Math.round(size * 0.4)}px Arial`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('🏁', 0, 0);
+            ctx.restore();
+        }
+    }
+
+    /**
+     * Adjusts color brightness
+     */
+    adjustBrightness(color, amount) {
+        const hex = color.replace('#', '');
+        const r = Math.max(0, Math.min(255, parseInt(hex.substr(0, 2), 16) + amount));
+        const g = Math.max(0, Math.min(255, parseInt(hex.substr(2, 2), 16) + amount));
+        const b = Math.max(0, Math.min(255, parseInt(hex.substr(4, 2), 16) + amount));
+        return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
+    }
+
+    /**
+     * Draws the player character
+     */
+    drawPlayer(player, state = null) {
+        const ctx = this.playerCtx;
+        const pos = player.getPosition();
+        const { x, y, scale, rotation } = state || { x: pos.x, y: pos.y, scale: 1, rotation: 0 };
+        if (scale <= 0) return;
+        const color = player.getColor();
+
+        // Drawn around the origin so it can shrink and spin (falling into a pit)
+        ctx.save();
+        ctx.translate((x + 0.5) * this.tileSize, (y + 0.5) * this.tileSize);
+        ctx.rotate(rotation);
+        const centerX = 0;
+        const centerY = 0;
+        const radius = this.tileSize / 3 * scale;
+
+        // Draw player body (circle)
+        ctx.fillStyle = COLOR_VALUES[color];
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Draw player outline
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 3;
+        ctx.stroke();
+
+        // Draw eyes
+        ctx.fillStyle = '#fff';
+        ctx.beginPath();
+        ctx.arc(centerX - radius / 3, centerY - radius / 4, radius / 5, 0, Math.PI * 2);
+        ctx.arc(centerX + radius / 3, centerY - radius / 4, radius / 5, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Draw pupils
+        ctx.fillStyle = '#2c3e50';
+        ctx.beginPath();
+        ctx.arc(centerX - radius / 3, centerY - radius / 4, radius / 8, 0, Math.PI * 2);
+        ctx.arc(centerX + radius / 3, centerY - radius / 4, radius / 8, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+    }
+}
+
+// ============================================
+// LEVEL EDITOR
+// ============================================
+
+/**
+ * LevelEditor - Holds an unsaved level config and draws it for editing
+ *
+ * Tiles are painted by code (see TILE_CODES) and drawn with the game's own
+ * Renderer.drawTile(), so the editor shows exactly what the player will see.
+ * Painting 'S' or 'G' moves the start or goal; math gates and teleporters get
+ * their mathGates / teleports entries created and removed along with the tile.
+ * Game wires the editor screen's DOM to these methods.
+ */
+class LevelEditor {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.renderer = new Renderer(canvas);
+        this.selectedCode = 'N';
+        this.selectedCell = null; // { x, y } shown in the tile properties panel
+        this.newLevel(EDITOR_DEFAULT_SIZE.width, EDITOR_DEFAULT_SIZE.height);
+    }
+
+    /**
+     * Starts a blank level: a walled room with the start and goal in opposite corners
+     */
+    newLevel(width, height) {
+        const grid = [];
+        for (let y = 0; y < height; y++) {
+            grid[y] = [];
+            for (let x = 0; x < width; x++) {
+                const isWall = x === 0 || y === 0 || x === width - 1 || y === height - 1;
+                grid[y][x] = isWall ? 'O' : 'N';
+            }
+        }
+
+        this.level = {
+            name: 'Custom Level',
+            width: width,
+            height: height,
+            startPos: { x: 1, y: 1 },
+            goalPos: { x: width - 2, y: height - 2 },
+            targetMoves: 'auto',
+            mathGates: [],
+            teleports: [],
+            grid: grid
+        };
+        grid[1][1] = 'S';
+        grid[height - 2][width - 2] = 'G';
+        this.selectedCell = null;
+    }
+
+    /**
+     * Loads an existing level config (copied, so LEVELS is never edited in place)
+     */
+    loadConfig(levelConfig) {
+        const copy = JSON.parse(JSON.stringify(levelConfig));
+        this.level = Object.assign({ mathGates: [], teleports: [] }, copy);
+        this.selectedCell = null;
+    }
+
+    /**
+     * Gets the tile code at a position
+     */
+    getCode(x, y) {
+        const row = this.level.grid[y];
+        return row ? row[x] : undefined;
+    }
+
+    /**
+     * Paints the selected tile code at a position
+     * @returns {boolean} True if the grid changed
+     */
+    paint(x, y, code = this.selectedCode) {
+        const previous = this.getCode(x, y);
+        if (previous === undefined || previous === code) return false;
+
+        // Start and goal are unique: painting one moves it
+        if (code === 'S' || code === 'G') {
+            const field = code === 'S' ? 'startPos' : 'goalPos';
+            const old = this.level[field];
+            if (this.getCode(old.x, old.y) === code) {
+                this.level.grid[old.y][old.x] = 'N';
+            }
+            this.level[field] = { x, y };
+        }
+        this.level.grid[y][x] = code;
+
+        // Keep the math gate and teleporter entries in step with their tiles
+        if (previous === 'MG') {
+            this.level.mathGates = this.level.mathGates.filter(gate => gate.x !== x || gate.y !== y);
+        }
+        if (previous === 'T') {
+            this.level.teleports = this.level.teleports.filter(link => link.from.x !== x || link.from.y !== y);
+        }
+        if (code === 'MG') {
+            this.level.mathGates.push(Object.assign({ x, y }, EDITOR_DEFAULT_GATE));
+        }
+        return true;
+    }
+
+    /**
+     * Sets the question and answer of the math gate at a position.
+     * An empty question leaves the gate to MathPuzzleGenerator.
+     */
+    setMathGate(x, y, question, answer) {
+        const gate = this.level.mathGates.find(entry => entry.x === x && entry.y === y);
+        if (!gate) return false;
+        if (question) {
+            gate.question = question;
+            gate.answer = answer;
+        } else {
+            delete gate.question;
+            delete gate.answer;
+        }
+        return true;
+    }
+
+    /**
+     * Links the teleporter at a position to a destination (null removes the link)
+     */
+    setTeleport(x, y, to) {
+        if (this.getCode(x, y) !== 'T') return false;
+        this.level.teleports = this.level.teleports.filter(link => link.from.x !== x || link.from.y !== y);
+        if (to) {
+            this.level.teleports.push({ from: { x, y }, to: { x: to.x, y: to.y } });
+        }
+        return true;
+    }
+
+    /**
+     * Resizes the grid, keeping the top-left corner. New cells are neutral
+     * ground; a start or goal that gets cut off is moved back inside.
+     */
+    resize(width, height) {
+        const grid = [];
+        for (let y = 0; y < height; y++) {
+            grid[y] = [];
+            for (let x = 0; x < width; x++) {
+                const code = this.getCode(x, y);
+                grid[y][x] = code === undefined ? 'N' : code;
+            }
+        }
+
+        const inside = pos => pos.x < width && pos.y < height;
+        this.level.width = width;
+        this.level.height = height;
+        this.level.grid = grid;
+        this.level.mathGates = this.level.mathGates.filter(inside);
+        this.level.teleports = this.level.teleports.filter(link => inside(link.from) && inside(link.to));
+
+        [['startPos', 'S'], ['goalPos', 'G']].forEach(([field, code]) => {
+            const pos = this.level[field];
+            if (!inside(pos)) {
+                this.level[field] = { x: Math.min(pos.x, width - 1), y: Math.min(pos.y, height - 1) };
+                this.paint(this.level[field].x, this.level[field].y, code);
+            }
+        });
+        if (this.selectedCell && !inside(this.selectedCell)) {
+            this.selectedCell = null;
+        }
+    }
+
+    /**
+     * Gets a copy of the level in the LEVELS format
+     */
+    getLevelConfig() {
+        const config = JSON.parse(JSON.stringify(this.level));
+        if (config.teleports.length === 0) {
+            delete config.teleports;
+        }
+        return config;
+    }
+
+    /**
+     * Runs the LevelValidator over the level
+     */
+    validate() {
+        return new LevelValidator().validate(this.getLevelConfig());
+    }
+
+    /**
+     * Exports the level as JSON, one grid row per line so it stays readable
+     */
+    exportJSON() {
+        const config = this.getLevelConfig();
+        const rows = config.grid.map(row => '        ' + JSON.stringify(row));
+        config.grid = '__GRID__';
+        return JSON.stringify(config, null, 4)
+            .replace('"__GRID__"', `[\n${rows.join(',\n')}\n    ]`);
+    }
+
+    /**
+     * Converts a mouse event on the canvas into a grid cell
+     */
+    cellFromEvent(event) {
+        const cell = this.renderer.cellAt(event.clientX, event.clientY);
+        return cell && this.getCode(cell.x, cell.y) !== undefined ? cell : null;
+    }
+
+    /**
+     * Draws the level, marking the selected cell and teleporter links
+     */
+    draw() {
+        const { width, height } = this.level;
+        const size = this.renderer.tileSize;
+        if (this.canvas.width !== width * size || this.canvas.height !== height * size) {
+            this.renderer.initCanvas(width, height);
+        }
+        this.renderer.clear();
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const tile = parseTile(this.level.grid[y][x]);
+                const gate = this.level.mathGates.find(entry => entry.x === x && entry.y === y);
+                if (gate) tile.question = gate.question;
+                this.renderer.drawTile(x, y, tile);
+            }
+        }
+
+        const ctx = this.renderer.ctx;
+        const center = pos => [(pos.x + 0.5) * size, (pos.y + 0.5) * size];
+        ctx.strokeStyle = COLOR_VALUES.teleport;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        this.level.teleports.forEach(link => {
+            ctx.beginPath();
+            ctx.moveTo(...center(link.from));
+            ctx.lineTo(...center(link.to));
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+
+        if (this.selectedCell) {
+            ctx.strokeStyle = '#fff';
+            ctx.lineWidth = 3;
+            ctx.strokeRect(this.selectedCell.x * size + 2, this.selectedCell.y * size + 2, size - 4, size - 4);
+        }
+    }
+}
+
+// ============================================
+// INPUT HANDLER
+// ============================================
+
+/**
+ * InputHandler - Turns keyboard and gamepad input into game actions
+ *
+ * Keys map to actions through rebindable bindings saved in localStorage.
+ * Gamepads are polled every frame while one is connected. A held direction
+ * moves once, then repeats at KEY_REPEAT_INTERVAL after KEY_REPEAT_DELAY,
+ * so holding a key walks tile by tile instead of at the OS repeat rate.
+ * Swipes and taps on the canvas and the on-screen d-pad feed the same actions.
+ */
+class InputHandler {
+    constructor(game) {
+        this.game = game;
+        this.keys = {};
+        this.storageKey = 'colorPathKeyBindings';
+        this.bindings = this.loadBindings();
+        this.keyMap = this.buildKeyMap();
+        this.repeat = null;          // { action, source, next } for the held direction
+        this.gamepadActions = new Set();
+        this.pollId = null;
+        this.rebinding = null;       // { action, slot, onDone } while waiting for a key
+        this.touchStart = null;      // { x, y, id } of the pointer pressed on the canvas
+        this.queue = [];             // Actions waiting for the current animation to end
+        this.setupListeners();
+    }
+
+    /**
+     * Sets up keyboard and gamepad event listeners
+     */
+    setupListeners() {
+        document.addEventListener('keydown', (e) => {
+            const key = e.key.toLowerCase();
+            if (this.rebinding) {
+                e.preventDefault();
+                this.finishRebinding(key);
+                return;
+            }
+            // Keys typed into a form field are text, not game input
+            if (this.isEditableTarget(e.target)) return;
+
+            this.keys[key] = true;
+            // Held keys repeat on our own schedule, not the browser's
+            if (e.repeat) return;
+            this.handleKeyPress(key);
+        });
+
+        document.addEventListener('keyup', (e) => {
+            const key = e.key.toLowerCase();
+            this.keys[key] = false;
+            if (this.repeat && this.repeat.source === key) {
+                this.repeat = null;
+            }
+        });
+
+        window.addEventListener('blur', () => {
+            this.keys = {};
+            this.repeat = null;
+        });
+
+        window.addEventListener('gamepadconnected', () => {
+            this.startPolling();
+        });
+    }
+
+    /**
+     * Checks if an element takes typed text (form fields and contenteditable)
+     */
+    isEditableTarget(target) {
+        if (!target || !target.tagName) return false;
+        return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable === true;
+    }
+
+    /**
+     * Listens for swipes and taps on the game canvas and presses on the
+     * on-screen d-pad. Pointer events cover touch, pen and mouse alike.
+     * @param {HTMLCanvasElement} canvas - The game canvas
+     * @param {HTMLElement} dpad - Container of buttons with a data-action attribute
+     */
+    attachTouch(canvas, dpad) {
+        canvas.addEventListener('pointerdown', (e) => {
+            if (e.pointerType === 'mouse' && e.button !== 0) return;
+            this.touchStart = { x: e.clientX, y: e.clientY, id: e.pointerId };
+        });
+
+        canvas.addEventListener('pointerup', (e) => {
+            const start = this.touchStart;
+            this.touchStart = null;
+            if (start && start.id === e.pointerId) {
+                this.handleGesture(start, e);
+            }
+        });
+
+        canvas.addEventListener('pointercancel', () => {
+            this.touchStart = null;
+        });
+
+        dpad.querySelectorAll('[data-action]').forEach(button => {
+            const action = button.dataset.action;
+            button.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                if (this.performAction(action) && this.getDirection(action)) {
+                    this.startRepeat(action, 'touch');
+                }
+            });
+
+            const release = () => {
+                if (this.repeat && this.repeat.source === 'touch') {
+                    this.repeat = null;
+                }
+            };
+            button.addEventListener('pointerup', release);
+            button.addEventListener('pointerleave', release);
+            button.addEventListener('pointercancel', release);
+        });
+    }
+
+    /**
+     * Turns a finished canvas gesture into a move: a swipe moves in its
+     * direction, a tap steps one tile toward the tapped tile
+     * @param {Object} start - { x, y } where the pointer went down
+     * @param {Object} end - The pointerup event ({ clientX, clientY })
+     */
+    handleGesture(start, end) {
+        const dx = end.clientX - start.x;
+        const dy = end.clientY - start.y;
+        if (Math.max(Math.abs(dx), Math.abs(dy)) >= SWIPE_MIN_DISTANCE) {
+            this.performAction(this.getActionToward(dx, dy));
+            return;
+        }
+
+        if (!this.game.player) return;
+        const cell = this.game.renderer.cellAt(end.clientX, end.clientY);
+        if (!cell) return;
+        const position = this.game.player.getPosition();
+        const action = this.getActionToward(cell.x - position.x, cell.y - position.y);
+        if (action) {
+            this.performAction(action);
+        }
+    }
+
+    /**
+     * Gets the movement action along the larger of two offsets (horizontal on a tie)
+     * @returns {string|null} The action, or null for no offset
+     */
+    getActionToward(dx, dy) {
+        if (dx === 0 && dy === 0) return null;
+        if (Math.abs(dx) >= Math.abs(dy)) {
+            return dx > 0 ? INPUT_ACTIONS.RIGHT : INPUT_ACTIONS.LEFT;
+        }
+        return dy > 0 ? INPUT_ACTIONS.DOWN : INPUT_ACTIONS.UP;
+    }
+
+    /**
+     * Handles individual key presses
+     */
+    handleKeyPress(key) {
+        const action = this.keyMap[key];
+        if (!action) return;
+
+        if (this.performAction(action) && this.getDirection(action)) {
+            this.startRepeat(action, key);
+        }
+    }
+
+    /**
+     * Performs an action. While a move or effect is animating, gameplay
+     * actions are queued (up to INPUT_QUEUE_LIMIT) and run in order once it
+     * ends, so every move starts from the state the player sees.
+     * @returns {boolean} True if the game accepted (or queued) it
+     */
+    performAction(action) {
+        // Muting works anywhere, even while a replay plays
+        if (action === INPUT_ACTIONS.MUTE) {
+            this.game.toggleMute();
+            return true;
+        }
+        if (this.game.replayPlayer) return false;
+
+        // Pause is the one action that works while the game is paused
+        if (action === INPUT_ACTIONS.PAUSE) {
+            this.game.togglePause();
+            return true;
+        }
+        if (!this.game.isPlaying) return false;
+
+        // Zooming doesn't touch the game state, so it never waits
+        if (action === INPUT_ACTIONS.ZOOM_IN || action === INPUT_ACTIONS.ZOOM_OUT) {
+            this.game.changeZoom(action === INPUT_ACTIONS.ZOOM_IN ? 1 : -1);
+            return true;
+        }
+
+        if (this.isGameAnimating()) {
+            if (!Object.values(INPUT_ACTIONS).includes(action)) return false;
+            if (this.queue.length >= INPUT_QUEUE_LIMIT) return false;
+            this.queue.push(action);
+            return true;
+        }
+        return this.dispatchAction(action);
+    }
+
+    /**
+     * Checks if the game is playing an animation that input must wait for
+     */
+    isGameAnimating() {
+        return typeof this.game.isAnimating === 'function' && this.game.isAnimating();
+    }
+
+    /**
+     * Runs the next queued action once animations have finished (called
+     * every frame by the game loop)
+     */
+    flushQueue() {
+        if (this.queue.length === 0 || this.isGameAnimating()) return;
+        this.dispatchAction(this.queue.shift());
+    }
+
+    /**
+     * Drops queued actions (the level ended or restarted)
+     */
+    clearQueue() {
+        this.queue = [];
+    }
+
+    /**
+     * Sends a gameplay action to the game
+     * @returns {boolean} True if the action exists
+     */
+    dispatchAction(action) {
+        const direction = this.getDirection(action);
+        if (direction) {
+            this.game.movePlayer(direction.dx, direction.dy);
+            return true;
+        }
+
+        switch (action) {
+            case INPUT_ACTIONS.RESTART:
+                this.game.restartLevel();
+                break;
+            case INPUT_ACTIONS.UNDO:
+                this.game.undoMove();
+                break;
+            case INPUT_ACTIONS.REDO:
+                this.game.redoMove();
+                break;
+            case INPUT_ACTIONS.HINT:
+                this.game.showHint();
+                break;
+            default:
+                return false;
+        }
+        return true;
+    }
+
+    /**
+     * Gets the movement direction for an action, or null if it isn't a move
+     */
+    getDirection(action) {
+        return DIRECTIONS.find(direction => direction.name === action) || null;
+    }
+
+    /**
+     * Starts repeating a held direction
+     * @param {string} source - The key (or 'gamepad' / 'touch') holding it down
+     */
+    startRepeat(action, source) {
+        this.repeat = { action, source, next: performance.now() + KEY_REPEAT_DELAY };
+        this.startPolling();
+    }
+
+    /**
+     * Starts the per-frame poll loop if it isn't running
+     */
+    startPolling() {
+        if (this.pollId || typeof requestAnimationFrame !== 'function') return;
+        this.pollId = requestAnimationFrame((now) => this.poll(now));
+    }
+
+    /**
+     * Polls gamepads and fires key repeats; keeps running while a direction
+     * is held or a gamepad is connected
+     */
+    poll(now) {
+        this.pollGamepads();
+
+        // A held direction waits for the slide to end instead of queueing up
+        if (this.repeat && now >= this.repeat.next && !this.isGameAnimating()) {
+            this.repeat.next = now + KEY_REPEAT_INTERVAL;
+            if (!this.performAction(this.repeat.action)) {
+                this.repeat = null;
+            }
+        }
+
+        this.pollId = null;
+        if (this.repeat || this.getGamepads().length > 0) {
+            this.startPolling();
+        }
+    }
+
+    /**
+     * Gets the connected gamepads
+     */
+    getGamepads() {
+        if (!navigator.getGamepads) return [];
+        return Array.from(navigator.getGamepads()).filter(pad => pad && pad.connected);
+    }
+
+    /**
+     * Reads every connected gamepad and performs actions for newly pressed
+     * buttons (D-pad or left stick for movement)
+     */
+    pollGamepads() {
+        const active = new Set();
+        this.getGamepads().forEach(pad => {
+            Object.entries(GAMEPAD_BINDINGS).forEach(([action, buttons]) => {
+                if (buttons.some(index => pad.buttons[index] && pad.buttons[index].pressed)) {
+                    active.add(action);
+                }
+            });
+
+            const [axisX = 0, axisY = 0] = pad.axes;
+            if (axisY <= -GAMEPAD_STICK_THRESHOLD) active.add(INPUT_ACTIONS.UP);
+            if (axisY >= GAMEPAD_STICK_THRESHOLD) active.add(INPUT_ACTIONS.DOWN);
+            if (axisX <= -GAMEPAD_STICK_THRESHOLD) active.add(INPUT_ACTIONS.LEFT);
+            if (axisX >= GAMEPAD_STICK_THRESHOLD) active.add(INPUT_ACTIONS.RIGHT);
+        });
+
+        active.forEach(action => {
+            if (this.gamepadActions.has(action)) return;
+            if (this.performAction(action) && this.getDirection(action)) {
+                this.startRepeat(action, 'gamepad');
+            }
+        });
+
+        if (this.repeat && this.repeat.source === 'gamepad' && !active.has(this.repeat.action)) {
+            this.repeat = null;
+        }
+        this.gamepadActions = active;
+    }
+
+    /**
+     * Loads key bindings from localStorage, falling back to the defaults
+     * for any action without saved keys
+     */
+    loadBindings() {
+        const bindings = {};
+        let saved = {};
+        try {
+            const data = localStorage.getItem(this.storageKey);
+            if (data) {
+                saved = JSON.parse(data).bindings || {};
+            }
+        } catch (error) {
+            console.error('Error loading key bindings:', error);
+        }
+
+        // Actions added since the bindings were saved only get default keys nobody took
+        const taken = new Set(Object.values(saved).filter(Array.isArray).flat());
+        Object.keys(DEFAULT_KEY_BINDINGS).forEach(action => {
+            bindings[action] = Array.isArray(saved[action]) ?
+                saved[action].slice(0, MAX_KEYS_PER_ACTION) :
+                DEFAULT_KEY_BINDINGS[action].filter(key => !taken.has(key));
+        });
+        return bindings;
+    }
+
+    /**
+     * Saves key bindings to localStorage
+     */
+    saveBindings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ version: 1, bindings: this.bindings }));
+        } catch (error) {
+            console.error('Error saving key bindings:', error);
+        }
+    }
+
+    /**
+     * Builds the key -> action lookup from the bindings
+     */
+    buildKeyMap() {
+        const keyMap = {};
+        Object.entries(this.bindings).forEach(([action, keys]) => {
+            keys.forEach(key => {
+                keyMap[key] = action;
+            });
+        });
+        return keyMap;
+    }
+
+    /**
+     * Gets the keys bound to an action
+     */
+    getBindings(action) {
+        return [...(this.bindings[action] || [])];
+    }
+
+    /**
+     * Binds a key to an action slot. A key drives a single action, so it is
+     * taken off whatever action had it before.
+     * @param {number} slot - 0 for the primary key, 1 for the alternate
+     */
+    setBinding(action, slot, key) {
+        Object.values(this.bindings).forEach(keys => {
+            const index = keys.indexOf(key);
+            if (index !== -1) keys.splice(index, 1);
+        });
+
+        const keys = this.bindings[action];
+        if (slot < keys.length) {
+            keys[slot] = key;
+        } else {
+            keys.push(key);
+        }
+        this.saveBindings();
+        this.keyMap = this.buildKeyMap();
+    }
+
+    /**
+     * Removes the key in an action slot
+     */
+    clearBinding(action, slot) {
+        this.bindings[action].splice(slot, 1);
+        this.saveBindings();
+        this.keyMap = this.buildKeyMap();
+    }
+
+    /**
+     * Restores the default key bindings
+     */
+    resetBindings() {
+        localStorage.removeItem(this.storageKey);
+        this.bindings = this.loadBindings();
+        this.keyMap = this.buildKeyMap();
+    }
+
+    /**
+     * Waits for the next key press and binds it to an action slot.
+     * Escape cancels; Backspace or Delete clears the slot.
+     * @param {Function} onDone - Called once the slot is set, cleared or left alone
+     */
+    startRebinding(action, slot, onDone) {
+        this.rebinding = { action, slot, onDone };
+        this.repeat = null;
+    }
+
+    /**
+     * Handles the key pressed while rebinding
+     */
+    finishRebinding(key) {
+        const { action, slot, onDone } = this.rebinding;
+        this.rebinding = null;
+
+        if (key === 'backspace' || key === 'delete') {
+            if (slot < this.bindings[action].length) {
+                this.clearBinding(action, slot);
+            }
+        } else if (key !== 'escape') {
+            this.setBinding(action, slot, key);
+        }
+        if (onDone) onDone();
+    }
+
+    /**
+     * Gets a short label for a key, e.g. "↑" or "Space"
+     */
+    formatKey(key) {
+        const labels = {
+            arrowup: '↑',
+            arrowdown: '↓',
+            arrowleft: '←',
+            arrowright: '→',
+            ' ': 'Space',
+            escape: 'Esc'
+        };
+        if (labels[key]) return labels[key];
+        return key.length === 1 ? key.toUpperCase() : key.charAt(0).toUpperCase() + key.slice(1);
+    }
+
+    /**
+     * Gets the label of an action's primary key, or "—" if it is unbound
+     */
+    getKeyLabel(action) {
+        const keys = this.bindings[action];
+        return keys && keys.length > 0 ? this.formatKey(keys[0]) : '—';
+    }
+
+    /**
+     * Gets a label for the movement keys, e.g. "↑←↓→ / WASD"
+     */
+    getMovementLabel() {
+        const order = [INPUT_ACTIONS.UP, INPUT_ACTIONS.LEFT, INPUT_ACTIONS.DOWN, INPUT_ACTIONS.RIGHT];
+        const sets = [];
+        for (let slot = 0; slot < MAX_KEYS_PER_ACTION; slot++) {
+            const keys = order.map(action => this.bindings[action][slot]);
+            if (keys.every(key => key)) {
+                sets.push(keys.map(key => this.formatKey(key)).join(''));
+            }
+        }
+        return sets.length > 0 ? sets.join(' / ') : order.map(action => this.getKeyLabel(action)).join('');
+    }
+}
+
+// ============================================
+// GAME CLASS - Main Controller
+// ============================================
+
+/**
+ * Game - Main game controller that orchestrates all systems
+ */
+class Game {
+    constructor() {
+        // Initialize systems
+        this.levelManager = new LevelManager();
+        this.timer = new TimerSystem();
+        this.leaderboard = new LeaderboardSystem();
+        this.progress = new ProgressStore();
+        this.animations = new AnimationSystem();
+        this.sound = new SoundManager();
+
+        // Get DOM elements
+        this.canvas = document.getElementById('gameCanvas');
+        this.renderer = new Renderer(this.canvas, document.getElementById('playerCanvas'));
+        this.inputHandler = new InputHandler(this);
+        this.inputHandler.attachTouch(this.canvas, document.getElementById('dpad'));
+        this.editor = new LevelEditor(document.getElementById('editorCanvas'));
+        this.history = new HistorySystem();
+        this.recorder = new ReplayRecorder();
+        this.replayPlayer = null; // Set while a replay is playing
+        this.mathPuzzle = null; // The open math puzzle: { tile, x, y, deadline, intervalId }
+        this.pendingScreen = null; // Shows the failure/success screen once animations finish
+        this.levelGenerator = new LevelGenerator();
+        this.endless = null; // The endless run being played: { seed, stage, level }
+        this.dailyChallenge = new DailyChallenge(this.levelGenerator);
+        this.daily = null; // The daily challenge being played: { dateKey, level, attempt, rank }
+        this.levelCodec = new LevelCodec();
+        this.sharedLevel = null; // A level opened from a level code or a #level= link
+        this.checkpoint = null; // State to respawn in: the last checkpoint reached, or the level start
+
+        // Game state
+        this.player = null;
+        this.isPlaying = false;
+        this.paused = false;
+        this.playerName = '';
+        this.difficultyMode = DIFFICULTY_SETTINGS[localStorage.getItem('colorPathDifficulty')] ?
+            localStorage.getItem('colorPathDifficulty') : DIFFICULTY_MODES.NORMAL; // Chosen on the welcome screen
+        this.mode = this.difficultyMode; // Mode of the run being played
+        this.hintsUsed = 0;
+        this.undosUsed = 0;
+        this.leaderboardView = LEADERBOARD_VIEWS.FASTEST;
+        this.leaderboardLevel = 0; // Level index shown on the leaderboard, or null for unknown
+
+        // Animation frame ID
+        this.animationId = null;
+
+        this.setupUI();
+
+        // A shared link starts its level straight away
+        this.loadLevelFromHash();
+    }
+
+    /**
+     * Sets up UI event listeners
+     */
+    setupUI() {
+        // Start button
+        document.getElementById('startButton').addEventListener('click', () => {
+            this.readPlayerName();
+            this.startGame();
+        });
+
+        // Allow Enter key to start game
+        document.getElementById('playerName').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.readPlayerName();
+                this.startGame();
+            }
+        });
+
+        // Progress is per player, so the level select follows the name being typed
+        document.getElementById('playerName').addEventListener('input', () => {
+            this.updateLevelSelect();
+        });
+
+        document.getElementById('continueButton').addEventListener('click', () => {
+            this.readPlayerName();
+            const levelIndex = this.progress.getContinueLevel(this.playerName);
+            this.startGame(levelIndex === null ? 0 : levelIndex);
+        });
+
+        this.updateLevelSelect();
+
+        // Difficulty mode, remembered between visits
+        const modeSelect = document.getElementById('difficultyMode');
+        modeSelect.value = this.difficultyMode;
+        modeSelect.addEventListener('change', () => {
+            this.difficultyMode = modeSelect.value;
+            localStorage.setItem('colorPathDifficulty', this.difficultyMode);
+        });
+
+        // Daily challenge: the same generated level for everyone on a date
+        document.getElementById('dailyButton').addEventListener('click', () => {
+            this.readPlayerName();
+            this.showDailyScreen();
+        });
+        document.getElementById('dailyPlayButton').addEventListener('click', () => {
+            this.startDaily();
+        });
+        document.getElementById('dailyCopyButton').addEventListener('click', () => {
+            this.copyDailyResult();
+        });
+        document.getElementById('dailyBackButton').addEventListener('click', () => {
+            this.showWelcomeScreen();
+        });
+
+        // Endless mode: generated levels from a seed (typed in to share a run, random otherwise)
+        document.getElementById('endlessButton').addEventListener('click', () => {
+            this.readPlayerName();
+            this.startEndless(document.getElementById('endlessSeed').value.trim());
+        });
+
+        // Level codes: pasted in here, or opened from a #level= link
+        document.getElementById('levelCodeButton').addEventListener('click', () => {
+            this.readPlayerName();
+            this.playLevelCode(document.getElementById('levelCodeInput').value);
+        });
+        document.getElementById('levelCodeInput').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.readPlayerName();
+                this.playLevelCode(e.target.value);
+            }
+        });
+        window.addEventListener('hashchange', () => {
+            this.loadLevelFromHash();
+        });
+
+        // Level packs: file picker, drag-and-drop and export
+        document.getElementById('levelPackFile').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.importLevelPackFile(e.target.files[0]);
+            }
+            e.target.value = ''; // Allow re-importing the same file
+        });
+
+        const dropZone = document.getElementById('levelPackDropZone');
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+        dropZone.addEventListener('dragleave', () => {
+            dropZone.classList.remove('drag-over');
+        });
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('drag-over');
+            if (e.dataTransfer.files.length > 0) {
+                this.importLevelPackFile(e.dataTransfer.files[0]);
+            }
+        });
+
+        document.getElementById('exportPackButton').addEventListener('click', () => {
+            this.exportLevelPack();
+        });
+
+        this.updateLevelPackInfo();
+
+        // Level editor
+        document.getElementById('editorButton').addEventListener('click', () => {
+            this.showEditorScreen();
+        });
+        this.setupEditorUI();
+
+        // Key bindings
+        document.getElementById('settingsButton').addEventListener('click', () => {
+            this.openSettings();
+        });
+        document.getElementById('settingsResetButton').addEventListener('click', () => {
+            this.inputHandler.resetBindings();
+            this.updateSettingsPanel();
+        });
+        document.getElementById('settingsCloseButton').addEventListener('click', () => {
+            this.closeSettings();
+        });
+        this.updateKeyHints();
+
+        // Sound: volume sliders (0-100) and mute, saved by the sound manager
+        SOUND_CHANNELS.forEach(channel => {
+            const slider = document.getElementById(`volume-${channel}`);
+            slider.addEventListener('input', () => {
+                this.sound.setVolume(channel, slider.value / 100);
+            });
+            // Let the player hear the new level
+            slider.addEventListener('change', () => {
+                this.sound.play(channel === 'music' ? 'colorChange' : 'key');
+            });
+        });
+        document.getElementById('muteCheckbox').addEventListener('change', (e) => {
+            this.sound.setMuted(e.target.checked);
+            this.updateSoundUI();
+        });
+        document.getElementById('muteButton').addEventListener('click', () => {
+            this.toggleMute();
+        });
+        this.updateSoundUI();
+
+        // On-screen d-pad: shown by default on touch screens
+        document.getElementById('dpadToggleButton').addEventListener('click', () => {
+            const visible = document.getElementById('dpad').classList.contains('hidden');
+            this.setDpadVisible(visible);
+            localStorage.setItem('colorPathShowDpad', visible ? '1' : '0');
+        });
+        const showDpad = localStorage.getItem('colorPathShowDpad');
+        this.setDpadVisible(showDpad === null ?
+            !!(window.matchMedia && window.matchMedia('(pointer: coarse)').matches) :
+            showDpad === '1');
+
+        // Zoom, and re-fit the board when the window (or its pixel ratio) changes
+        document.getElementById('zoomInButton').addEventListener('click', () => {
+            if (this.isPlaying) this.changeZoom(1);
+        });
+        document.getElementById('zoomOutButton').addEventListener('click', () => {
+            if (this.isPlaying) this.changeZoom(-1);
+        });
+        window.addEventListener('resize', () => {
+            if (this.player && !document.getElementById('gameScreen').classList.contains('hidden')) {
+                this.layoutCanvas();
+            }
+        });
+
+        // Game control buttons
+        document.getElementById('pauseButton').addEventListener('click', () => {
+            this.togglePause();
+        });
+
+        // Pause menu
+        document.getElementById('pauseResumeButton').addEventListener('click', () => {
+            this.resumeGame();
+        });
+        document.getElementById('pauseRestartButton').addEventListener('click', () => {
+            this.restartLevel();
+        });
+        document.getElementById('pauseSettingsButton').addEventListener('click', () => {
+            this.openSettings();
+        });
+        document.getElementById('pauseQuitButton').addEventListener('click', () => {
+            this.leaveLevel();
+        });
+
+        // Pause by itself when the player switches tabs or windows, so the clock
+        // doesn't run while nobody is looking
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.pauseGame();
+        });
+        window.addEventListener('blur', () => {
+            this.pauseGame();
+        });
+
+        document.getElementById('restartButton').addEventListener('click', () => {
+            this.restartLevel();
+        });
+
+        document.getElementById('undoButton').addEventListener('click', () => {
+            this.undoMove();
+        });
+
+        document.getElementById('redoButton').addEventListener('click', () => {
+            this.redoMove();
+        });
+
+        document.getElementById('hintButton').addEventListener('click', () => {
+            this.showHint();
+        });
+
+        document.getElementById('mainMenuButton').addEventListener('click', () => {
+            this.leaveLevel();
+        });
+
+        // Failure screen buttons
+        document.getElementById('retryButton').addEventListener('click', () => {
+            this.restartLevel();
+        });
+
+        document.getElementById('failureMainMenuButton').addEventListener('click', () => {
+            this.leaveLevel();
+        });
+
+        // Success screen buttons
+        document.getElementById('playAgainButton').addEventListener('click', () => {
+            this.restartGame();
+        });
+
+        document.getElementById('viewLeaderboardButton').addEventListener('click', () => {
+            this.leaveLevel();
+        });
+
+        // Leaderboard views
+        document.getElementById('leaderboardFastestTab').addEventListener('click', () => {
+            this.leaderboardView = LEADERBOARD_VIEWS.FASTEST;
+            this.updateLeaderboardDisplay();
+        });
+
+        document.getElementById('leaderboardMovesTab').addEventListener('click', () => {
+            this.leaderboardView = LEADERBOARD_VIEWS.FEWEST_MOVES;
+            this.updateLeaderboardDisplay();
+        });
+
+        document.getElementById('leaderboardLevelSelect').addEventListener('change', (e) => {
+            this.leaderboardLevel = e.target.value === UNKNOWN_LEVEL_KEY ? null : parseInt(e.target.value);
+            this.updateLeaderboardDisplay();
+        });
+
+        // Math puzzle modal
+        document.getElementById('mathSubmitButton').addEventListener('click', () => {
+            this.resolveMathPuzzle(document.getElementById('mathAnswer').value.trim());
+        });
+
+        document.getElementById('mathCancelButton').addEventListener('click', () => {
+            this.resolveMathPuzzle(null);
+        });
+
+        document.getElementById('mathAnswer').addEventListener('keydown', (e) => {
+            // Keep Enter/Esc from also reaching the game's key bindings
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                this.resolveMathPuzzle(e.target.value.trim());
+            } else if (e.key === 'Escape') {
+                this.resolveMathPuzzle(null);
+            }
+        });
+
+        // Replay controls
+        document.getElementById('replayPlayButton').addEventListener('click', () => {
+            if (!this.replayPlayer) return;
+            if (this.replayPlayer.playing) {
+                this.replayPlayer.pause();
+            } else {
+                this.replayPlayer.play();
+            }
+        });
+
+        document.getElementById('replayStepButton').addEventListener('click', () => {
+            if (!this.replayPlayer) return;
+            this.replayPlayer.pause();
+            this.replayPlayer.step();
+        });
+
+        const speedSelect = document.getElementById('replaySpeedSelect');
+        REPLAY_SPEEDS.forEach(speed => {
+            speedSelect.add(new Option(`${speed}x`, String(speed), speed === 1, speed === 1));
+        });
+        speedSelect.addEventListener('change', (e) => {
+            if (this.replayPlayer) {
+                this.replayPlayer.setSpeed(parseFloat(e.target.value));
+            }
+        });
+
+        document.getElementById('replayStopButton').addEventListener('click', () => {
+            this.stopReplay();
+            this.showWelcomeScreen();
+        });
+    }
+
+    /**
+     * Starts the game
+     * @param {number|Object} levelOrConfig - Index into LEVELS, or a level config
+     *   to play as a custom level (editor play tests; not scored)
+     * @param {string} mode - DIFFICULTY_MODES value for the run (default: the one chosen)
+     * @returns {boolean} True if the level loaded and play started
+     */
+    startGame(levelOrConfig = 0, mode = this.difficultyMode) {
+        this.mode = mode;
+        this.stopReplay();
+        this.closeMathPuzzle();
+        this.clearPause();
+        this.clearAnimations();
+
+        // Get player name if not already set
+        if (!this.playerName) {
+            const nameInput = document.getElementById('playerName');
+            this.playerName = nameInput.value.trim() || 'Anonymous';
+        }
+
+        // Any other level ends an endless run or a daily attempt
+        if (this.endless && levelOrConfig !== this.endless.level) {
+            this.endless = null;
+        }
+        if (this.daily && levelOrConfig !== this.daily.level) {
+            this.daily = null;
+        }
+        if (this.sharedLevel && levelOrConfig !== this.sharedLevel) {
+            this.sharedLevel = null;
+        }
+
+        // Load specified level
+        const isCustom = typeof levelOrConfig === 'object';
+        const loaded = isCustom ?
+            this.levelManager.loadLevelConfig(levelOrConfig) :
+            this.levelManager.loadLevel(levelOrConfig);
+        if (!loaded) {
+            console.error('Failed to load level');
+            this.showLevelLoadErrors(isCustom ? levelOrConfig : LEVELS[levelOrConfig]);
+            return false;
+        }
+
+        // Initialize player
+        const startPos = this.levelManager.getStartPosition();
+        this.player = new Player(startPos.x, startPos.y, COLORS.RED);
+        this.history.clear();
+        this.saveCheckpoint();
+
+        this.hintsUsed = 0;
+        this.undosUsed = 0;
+        if (!isCustom) {
+            this.leaderboardLevel = levelOrConfig;
+        }
+
+        // Update UI
+        document.getElementById('currentPlayerName').textContent = this.playerName;
+        this.updatePlayerColorUI();
+        if (this.endless) {
+            document.getElementById('currentLevel').textContent = `∞ ${this.endless.stage}`;
+        } else if (this.daily) {
+            document.getElementById('currentLevel').textContent = `Daily ${this.daily.attempt}/${DAILY_MAX_ATTEMPTS}`;
+        } else if (this.sharedLevel) {
+            document.getElementById('currentLevel').textContent = 'Shared';
+        } else {
+            document.getElementById('currentLevel').textContent = isCustom ?
+                'Custom' : `${levelOrConfig + 1}/${LEVELS.length}`;
+        }
+        this.updateMovesUI();
+        this.updateKeysUI();
+        this.updateLivesUI();
+        this.updatePauseUI();
+
+        // Show game screen, then fit the canvas to the space it has
+        this.showGameScreen();
+        this.layoutCanvas();
+
+        // Start playing
+        this.setPlaying(true);
+        this.timer.setCountdown(this.levelManager.getTimeLimit());
+        this.timer.start();
+        this.updateTimerUI();
+        this.sound.startMusic();
+        this.recorder.start(isCustom ? null : levelOrConfig, this.levelManager.getLevelName(), this.mode);
+
+        // Start game loop
+        this.resumeGameLoop();
+
+        // Update leaderboard display
+        this.updateLeaderboardDisplay();
+        return true;
+    }
+
+    /**
+     * Starts an endless run: generated levels that grow in size and
+     * difficulty every ENDLESS_STAGES_PER_STEP stages
+     * @param {string} seed - Seed for the run (random if empty)
+     */
+    startEndless(seed = '') {
+        this.endless = { seed: seed || Date.now().toString(36), stage: 0, level: null };
+        this.startEndlessStage(1);
+    }
+
+    /**
+     * Generates and starts a stage of the endless run
+     */
+    startEndlessStage(stage) {
+        const step = Math.floor((stage - 1) / ENDLESS_STAGES_PER_STEP);
+        let level;
+        try {
+            level = this.levelGenerator.generate({
+                seed: `${this.endless.seed}-${stage}`,
+                width: Math.min(ENDLESS_MAX_SIZE.width, ENDLESS_START_SIZE.width + step),
+                height: Math.min(ENDLESS_MAX_SIZE.height, ENDLESS_START_SIZE.height + step),
+                difficulty: Math.min(GENERATOR_DIFFICULTY.HARD, GENERATOR_DIFFICULTY.EASY + step),
+                name: `Endless ${stage}`
+            });
+        } catch (error) {
+            console.error(error.message);
+            return;
+        }
+        this.endless.stage = stage;
+        this.endless.level = level;
+        this.startGame(level);
+    }
+
+    /**
+     * Starts an attempt at today's daily challenge (back to the daily
+     * screen if the player has none left). The attempt is only used up
+     * once the level has been generated and loaded.
+     */
+    startDaily() {
+        const dateKey = this.dailyChallenge.getDateKey();
+        if (this.dailyChallenge.getAttemptsLeft(dateKey, this.playerName) === 0) {
+            this.showDailyScreen();
+            return;
+        }
+        let level;
+        try {
+            level = this.dailyChallenge.getLevel(dateKey);
+        } catch (error) {
+            console.error(error.message);
+            return;
+        }
+
+        const attempt = this.dailyChallenge.getAttempts(dateKey, this.playerName) + 1;
+        this.daily = { dateKey, level, attempt, rank: null };
+        if (!this.startGame(level)) {
+            this.daily = null;
+            return;
+        }
+        this.dailyChallenge.recordAttempt(dateKey, this.playerName);
+    }
+
+    /**
+     * Main game loop
+     */
+    gameLoop() {
+        // Keeps drawing after play stops until the last animation has played
+        const now = performance.now();
+        if (!this.isPlaying && !this.pendingScreen && !this.animations.hasActive(now)) return;
+
+        // Show the screen that waited for the death or goal animation
+        if (this.pendingScreen && !this.animations.isBusy(now)) {
+            const show = this.pendingScreen;
+            this.pendingScreen = null;
+            show();
+            return;
+        }
+
+        // Update timer display
+        const elapsed = this.timer.getElapsedTime();
+        this.updateTimerUI();
+
+        // Time-limited levels end when the countdown runs out (replays only end as they were recorded)
+        if (this.isPlaying && !this.replayPlayer && this.timer.isExpired()) {
+            this.playerDied('The clock ran out before you reached the goal!', false, FAILURE_REASONS.OUT_OF_TIME);
+        }
+
+        // Timed hazards follow the level clock; replays play back the recorded ticks instead
+        const hazards = this.levelManager.hazards;
+        if (this.isPlaying && !this.replayPlayer && hazards.hasTimedHazards()) {
+            const due = Math.floor(elapsed / HAZARD_TIME_TICK);
+            while (this.isPlaying && hazards.clock.time < due) {
+                this.tickWorld();
+            }
+        }
+
+        // Play input that arrived during the last animation
+        if (this.isPlaying) {
+            this.inputHandler.flushQueue();
+        }
+
+        // Render
+        this.renderer.draw(this.levelManager, this.player, this.animations);
+
+        // Continue loop
+        this.animationId = requestAnimationFrame(() => this.gameLoop());
+    }
+
+    /**
+     * Fits the canvas to the space left for it on the game screen (the
+     * renderer picks the tile size and whether the camera scrolls) and
+     * centres the camera on the player
+     */
+    layoutCanvas() {
+        const { width, height } = this.levelManager.getDimensions();
+        const wrapper = document.getElementById('gameViewport');
+        const border = this.canvas.offsetWidth - this.canvas.clientWidth;
+        const viewport = {
+            width: wrapper.clientWidth - border,
+            height: window.innerHeight - wrapper.getBoundingClientRect().top - VIEWPORT_BOTTOM_MARGIN - border
+        };
+        this.renderer.initCanvas(width, height, viewport.width > 0 && viewport.height > 0 ? viewport : null);
+        if (this.player) {
+            this.renderer.snapCamera(this.player);
+        }
+    }
+
+    /**
+     * Steps the zoom level in or out
+     * @param {number} step - 1 to zoom in, -1 to zoom out
+     */
+    changeZoom(step) {
+        const current = ZOOM_LEVELS.indexOf(this.renderer.zoom);
+        const index = Math.max(0, Math.min(ZOOM_LEVELS.length - 1, current + step));
+        if (index === current) return;
+
+        this.renderer.setZoom(ZOOM_LEVELS[index]);
+        this.layoutCanvas();
+        const pos = this.player.getPosition();
+        this.showFloatingText(pos.x, pos.y, `🔍 ${Math.round(ZOOM_LEVELS[index] * 100)}%`, '#2c3e50');
+    }
+
+    /**
+     * Restarts the game loop after play was suspended (the loop stops itself
+     * as soon as isPlaying is false)
+     */
+    resumeGameLoop() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+        }
+        this.gameLoop();
+    }
+
+    /**
+     * Checks if a move, fall or celebration is still playing (input waits for it)
+     */
+    isAnimating() {
+        return this.animations.isBusy(performance.now());
+    }
+
+    /**
+     * Runs a callback once blocking animations have played, keeping the game
+     * loop going until then (used to hold back the failure and success screens)
+     */
+    afterAnimations(callback) {
+        if (!this.isAnimating()) {
+            callback();
+            return;
+        }
+        this.pendingScreen = callback;
+        this.resumeGameLoop();
+    }
+
+    /**
+     * Stops every animation and drops queued input and a waiting screen
+     */
+    clearAnimations() {
+        this.animations.clear();
+        this.pendingScreen = null;
+        this.inputHandler.clearQueue();
+    }
+
+    /**
+     * Moves the player in a direction
+     */
+    movePlayer(dx, dy) {
+        const currentPos = this.player.getPosition();
+        const newX = currentPos.x + dx;
+        const newY = currentPos.y + dy;
+
+        // Check if new position is walkable
+        if (!this.levelManager.isWalkable(newX, newY)) {
+            return; // Can't move to obstacles
+        }
+
+        // Move player
+        this.history.beginMove(this.player, this.levelManager);
+        this.player.moveTo(newX, newY);
+        this.sound.play('move');
+        this.animations.startMove(currentPos, { x: newX, y: newY }, performance.now());
+        this.recorder.record(REPLAY_EVENTS.MOVE, DIRECTIONS.findIndex(d => d.dx === dx && d.dy === dy));
+
+        // Check what tile the player landed on
+        const tile = this.levelManager.getTile(newX, newY);
+        this.handleTileInteraction(tile);
+
+        // A math puzzle that is still open finishes the move when answered
+        if (!this.mathPuzzle) {
+            this.advanceWorld(HAZARD_CLOCKS.MOVES);
+            this.history.commitMove(this.player, this.levelManager);
+            this.checkMoveLimit();
+        }
+
+        // Standing on a checkpoint (walked or teleported onto) saves the state the move ended in
+        const here = this.levelManager.getTile(this.player.x, this.player.y);
+        if (this.isPlaying && here.type === TILE_TYPES.CHECKPOINT) {
+            this.saveCheckpoint();
+        }
+    }
+
+    /**
+     * Moves the level's hazards one tick on a clock, then checks if they
+     * caught the player (a patrol arriving, a gate closing, the ground
+     * changing color). Does nothing once the level is over.
+     * @param {string} clock - A HAZARD_CLOCKS value
+     */
+    advanceWorld(clock) {
+        if (!this.isPlaying || !this.levelManager.hasHazards()) return;
+        this.levelManager.advanceWorld(clock);
+
+        const pos = this.player.getPosition();
+        const reason = this.levelManager.hazards.getDeathReason(pos.x, pos.y, this.player.getColor());
+        if (reason) {
+            this.playerDied(reason);
+        }
+    }
+
+    /**
+     * Ticks the hazards' time clock (recorded, so replays tick at the same points)
+     */
+    tickWorld() {
+        this.recorder.record(REPLAY_EVENTS.TICK);
+        this.advanceWorld(HAZARD_CLOCKS.TIME);
+    }
+
+    /**
+     * Handles interactions with tiles
+     * @param {boolean} arrivedByTeleport - True when the player was just teleported onto this tile
+     */
+    handleTileInteraction(tile, arrivedByTeleport = false) {
+        const playerColor = this.player.getColor();
+        const pos = this.player.getPosition();
+
+        if (tile.patrol) {
+            this.playerDied('You walked into a patrolling obstacle!');
+            return;
+        }
+
+        switch (tile.type) {
+            case TILE_TYPES.EMPTY:
+                // Fell into pit - death
+                this.playerDied('You fell into a pit!', true);
+                break;
+
+            case TILE_TYPES.GROUND:
+                // Player can ONLY step on their own color or neutral ground
+                // Stepping on any other color causes death
+                if (tile.color !== playerColor && tile.color !== COLORS.NEUTRAL) {
+                    this.playerDied(`You can't walk on ${tile.color} ground!`);
+                }
+                break;
+
+            case TILE_TYPES.FRAGILE:
+                // Fragile tiles can only be stepped on once
+                if (tile.used) {
+                    this.playerDied('The fragile tile crumbled beneath you!', true);
+                } else {
+                    this.history.recordTile(pos.x, pos.y, tile);
+                    tile.used = true; // Mark as used after stepping on it
+                    this.sound.play('crumble');
+                    this.animations.addDissolve(pos.x, pos.y, COLOR_VALUES.fragile, performance.now());
+                }
+                break;
+
+            case TILE_TYPES.COLOR_CHANGE:
+                // Change player color
+                this.player.setColor(tile.color);
+                this.updatePlayerColorUI();
+                this.sound.play('colorChange');
+                this.showParticleEffect(pos.x, pos.y, tile.color);
+                break;
+
+            case TILE_TYPES.COLOR_MIX:
+                // Mix the tile's primary in (nothing happens if the colors don't mix)
+                if (this.player.mixColor(tile.color)) {
+                    this.updatePlayerColorUI();
+                    this.sound.play('colorChange');
+                    this.showParticleEffect(pos.x, pos.y, this.player.getColor());
+                }
+                break;
+
+            case TILE_TYPES.WASH:
+                // Back to the primary the color was mixed from
+                if (this.player.washColor()) {
+                    this.updatePlayerColorUI();
+                    this.sound.play('colorChange');
+                    this.showParticleEffect(pos.x, pos.y, this.player.getColor());
+                }
+                break;
+
+            case TILE_TYPES.KEY:
+                // Collect key
+                if (!tile.collected) {
+                    this.history.recordTile(pos.x, pos.y, tile);
+                    tile.collected = true;
+                    this.player.addKey();
+                    this.updateKeysUI();
+                    this.sound.play('key');
+                    this.showFloatingText(pos.x, pos.y, '+1 Key!', '#f39c12');
+                }
+                break;
+
+            case TILE_TYPES.DOOR:
+                // Try to open door with key
+                if (tile.locked) {
+                    if (this.player.useKey()) {
+                        this.history.recordTile(pos.x, pos.y, tile);
+                        tile.locked = false;
+                        this.updateKeysUI();
+                        this.sound.play('door');
+                        this.showFloatingText(pos.x, pos.y, 'Door Unlocked!', '#27ae60');
+                    } else {
+                        this.playerDied('You need a key to open this door!');
+                    }
+                }
+                break;
+
+            case TILE_TYPES.CHECKPOINT:
+                // Raise the flag (the state is saved once the move is over)
+                if (!tile.reached) {
+                    this.history.recordTile(pos.x, pos.y, tile);
+                    tile.reached = true;
+                    this.sound.play('checkpoint');
+                    this.showFloatingText(pos.x, pos.y, '🚩 Checkpoint!', '#27ae60');
+                }
+                break;
+
+            case TILE_TYPES.MATH_GATE:
+                // Math puzzle gate
+                if (tile.locked) {
+                    this.showMathPuzzle(tile, pos.x, pos.y);
+                }
+                break;
+
+            case TILE_TYPES.TELEPORT:
+                // Jump to the linked destination, then resolve the tile we land on.
+                // Arriving on a teleporter doesn't trigger it again.
+                if (!arrivedByTeleport && tile.target &&
+                    this.levelManager.isWalkable(tile.target.x, tile.target.y)) {
+                    this.player.teleportTo(tile.target.x, tile.target.y, this.levelManager.getTeleportCost());
+                    this.showParticleEffect(pos.x, pos.y, 'teleport');
+                    this.showParticleEffect(tile.target.x, tile.target.y, 'teleport');
+                    this.showFloatingText(tile.target.x, tile.target.y, 'Teleported!', '#1abc9c');
+                    const destination = this.levelManager.getTile(tile.target.x, tile.target.y);
+                    this.handleTileInteraction(destination, true);
+                    return;
+                }
+                break;
+
+            case TILE_TYPES.GOAL:
+                // Level completed!
+                this.animations.addGoalCelebration(pos.x, pos.y, performance.now());
+                this.levelCompleted();
+                break;
+        }
+
+        // Update moves display
+        this.updateMovesUI();
+    }
+
+    /**
+     * Shows the math puzzle modal for a locked gate. The timer is paused while
+     * it is open, and the answer must be given before the countdown runs out.
+     * Replays answer straight from the log instead.
+     */
+    showMathPuzzle(tile, x, y) {
+        this.setPlaying(false);
+        this.mathPuzzle = { tile, x, y, deadline: 0, intervalId: null };
+
+        if (this.replayPlayer) {
+            this.resolveMathPuzzle(this.replayPlayer.takeAnswer());
+            return;
+        }
+
+        this.timer.pause();
+        document.getElementById('mathQuestion').textContent = `${tile.question} = ?`;
+        const input = document.getElementById('mathAnswer');
+        input.value = '';
+        document.getElementById('mathModal').classList.remove('hidden');
+        input.focus();
+
+        // Countdown
+        this.mathPuzzle.deadline = performance.now() + MATH_PUZZLE_TIME_LIMIT * 1000;
+        this.updateMathCountdown();
+        this.mathPuzzle.intervalId = setInterval(() => this.updateMathCountdown(), 100);
+    }
+
+    /**
+     * Updates the math puzzle countdown; running out counts as a wrong answer
+     */
+    updateMathCountdown() {
+        if (!this.mathPuzzle) return;
+        const remaining = Math.max(0, (this.mathPuzzle.deadline - performance.now()) / 1000);
+        document.getElementById('mathCountdown').textContent = `${Math.ceil(remaining)}s`;
+        const bar = document.getElementById('mathCountdownBar');
+        bar.style.width = `${(remaining / MATH_PUZZLE_TIME_LIMIT) * 100}%`;
+        bar.classList.toggle('warning', remaining <= 5);
+
+        if (remaining <= 0) {
+            this.resolveMathPuzzle(false);
+        }
+    }
+
+    /**
+     * Resolves the open math puzzle
+     * @param {string|null|false} answer - The text typed, null if cancelled
+     *   (the player steps back off the gate), or false if time ran out
+     */
+    resolveMathPuzzle(answer) {
+        const puzzle = this.mathPuzzle;
+        if (!puzzle) return;
+        this.closeMathPuzzle();
+        this.timer.resume();
+        this.recorder.record(REPLAY_EVENTS.ANSWER, answer);
+
+        const { tile, x, y } = puzzle;
+        if (answer === null) {
+            // Backing out undoes the step onto the gate
+            this.history.cancelMove(this.player, this.levelManager);
+            this.animations.clear();
+            this.updateMovesUI();
+            this.updatePlayerColorUI();
+            this.updateKeysUI();
+            this.setPlaying(true);
+            this.resumeGameLoop();
+            return;
+        }
+
+        if (answer === false) {
+            this.sound.play('wrong');
+            this.playerDied('Time\'s up! The math gate stayed locked.');
+        } else if (parseInt(answer) === tile.answer) {
+            this.history.recordTile(x, y, tile);
+            tile.locked = false;
+            this.sound.play('correct');
+            this.showFloatingText(x, y, 'Correct! ✓', '#27ae60');
+            this.setPlaying(true);
+            this.resumeGameLoop();
+        } else {
+            this.sound.play('wrong');
+            this.playerDied('Wrong answer! Try again.');
+        }
+
+        // The move that opened the puzzle ends here
+        this.advanceWorld(HAZARD_CLOCKS.MOVES);
+        this.history.commitMove(this.player, this.levelManager);
+        this.checkMoveLimit();
+    }
+
+    /**
+     * Ends the run once a move-limited level's last move didn't reach the goal
+     */
+    checkMoveLimit() {
+        const max = this.levelManager.getMaxMoves();
+        if (this.isPlaying && max !== null && this.player.getMoves() >= max) {
+            this.playerDied(`You used all ${max} moves without reaching the goal!`, false, FAILURE_REASONS.OUT_OF_MOVES);
+        }
+    }
+
+    /**
+     * Closes the math puzzle modal without answering
+     */
+    closeMathPuzzle() {
+        if (!this.mathPuzzle) return;
+        clearInterval(this.mathPuzzle.intervalId);
+        this.mathPuzzle = null;
+        document.getElementById('mathModal').classList.add('hidden');
+    }
+
+    /**
+     * Shows particle effect at position
+     * @param {string} color - Key into COLOR_VALUES
+     */
+    showParticleEffect(x, y, color) {
+        this.animations.addBurst(x, y, COLOR_VALUES[color], performance.now());
+    }
+
+    /**
+     * Shows floating text at position
+     */
+    showFloatingText(x, y, text, color) {
+        const messageElement = document.getElementById('statusMessage');
+        messageElement.textContent = text;
+        messageElement.style.color = color;
+        messageElement.classList.remove('hidden');
+        messageElement.classList.add('floating-text');
+
+        setTimeout(() => {
+            messageElement.classList.add('hidden');
+            messageElement.classList.remove('floating-text');
+        }, 1500);
+    }
+
+    /**
+     * Handles player death. Casual mode takes back the fatal move; otherwise
+     * a life is lost, and while any are left play goes on from the last
+     * checkpoint. Only the last life lost ends the run on the failure screen.
+     * Running out of a level limit always ends the run.
+     * @param {boolean} fell - True when the player fell (pit, crumbled tile) and should drop out of sight
+     * @param {string} reason - A FAILURE_REASONS value
+     */
+    playerDied(message, fell = false, reason = FAILURE_REASONS.DIED) {
+        this.setPlaying(false);
+        this.sound.play('death');
+
+        if (fell) {
+            const pos = this.player.getPosition();
+            this.animations.startFall(pos.x, pos.y, performance.now());
+        }
+
+        const rewind = DIFFICULTY_SETTINGS[this.mode].rewind;
+        const survivable = reason === FAILURE_REASONS.DIED;
+        if (survivable && (rewind || this.player.loseLife() > 0)) {
+            this.timer.pause();
+            this.updateLivesUI();
+            // Recovery waits for the fatal move to be committed, and for the
+            // death animation except in replays (which must keep their timing)
+            const recover = () => queueMicrotask(() => {
+                if (rewind) {
+                    this.rewindDeath(message);
+                } else {
+                    this.respawn(message);
+                }
+            });
+            if (this.replayPlayer) {
+                recover();
+            } else {
+                this.afterAnimations(recover);
+            }
+            return;
+        }
+
+        // Stop the timer
+        this.timer.stop();
+        this.sound.stopMusic();
+        this.updateLivesUI();
+
+        // Show failure screen instead of auto-restarting
+        this.afterAnimations(() => this.showFailureScreen(message, reason));
+    }
+
+    /**
+     * Casual mode: takes back the move that killed the player (for good, so
+     * it can't be redone). A death with no move to take back (a timed hazard
+     * at the start) goes back to the checkpoint instead.
+     */
+    rewindDeath(message) {
+        if (!this.history.rewind(this.player, this.levelManager)) {
+            this.restoreCheckpoint();
+        }
+        this.resumeAfterDeath(`↩️ ${message} Move taken back.`);
+    }
+
+    /**
+     * Puts the player back at the last checkpoint after losing a life
+     */
+    respawn(message) {
+        this.restoreCheckpoint();
+        const lives = this.player.getLives();
+        this.resumeAfterDeath(`💔 ${message} ${lives} ${lives === 1 ? 'life' : 'lives'} left.`);
+    }
+
+    /**
+     * Carries on playing after a death was survived
+     * @param {string} text - What happened, shown over the board
+     */
+    resumeAfterDeath(text) {
+        this.animations.clear();
+        this.renderer.snapCamera(this.player);
+        this.updatePlayerColorUI();
+        this.updateMovesUI();
+        this.updateKeysUI();
+        this.updateLivesUI();
+
+        this.timer.resume();
+        this.setPlaying(true);
+        this.resumeGameLoop();
+        const pos = this.player.getPosition();
+        this.showFloatingText(pos.x, pos.y, text, '#e74c3c');
+    }
+
+    /**
+     * Saves the full game state to respawn in: player, tiles, the hazards'
+     * move clock and the undo history. The level start is the first checkpoint.
+     */
+    saveCheckpoint() {
+        this.checkpoint = {
+            player: this.player.getSnapshot(),
+            tiles: this.levelManager.getTilesSnapshot(),
+            world: this.levelManager.getWorldSnapshot(),
+            history: this.history.getSnapshot()
+        };
+    }
+
+    /**
+     * Restores the state saved by saveCheckpoint() (lives and time carry on)
+     */
+    restoreCheckpoint() {
+        const checkpoint = this.checkpoint;
+        this.levelManager.restoreTiles(checkpoint.tiles);
+        this.player.restoreSnapshot(checkpoint.player);
+        // Last, so hazard state overrides anything the tile copies brought back
+        this.levelManager.restoreWorld(checkpoint.world);
+        this.history.restoreSnapshot(checkpoint.history);
+    }
+
+    /**
+     * Handles level completion
+     */
+    levelCompleted() {
+        this.setPlaying(false);
+        const completionTime = this.timer.stop();
+        this.sound.stopMusic();
+        this.sound.play('complete');
+        const moveCount = this.player.getMoves();
+        const stars = this.levelManager.calculateStars(moveCount);
+        const replay = this.recorder.finish(completionTime);
+
+        // Replays show the recorded time and are never scored again
+        if (this.replayPlayer) {
+            const recordedTime = typeof this.replayPlayer.log.time === 'number' ?
+                this.replayPlayer.log.time : completionTime;
+            this.afterAnimations(() => this.showSuccessScreen(recordedTime, null, stars, moveCount));
+            return;
+        }
+
+        // The daily challenge has its own board
+        if (this.daily) {
+            this.daily.rank = this.dailyChallenge.addResult(this.daily.dateKey, this.playerName, {
+                time: completionTime,
+                moves: moveCount,
+                stars: stars,
+                attempt: this.daily.attempt,
+                mode: this.mode
+            }).rank;
+        }
+
+        // Custom levels (editor play tests, endless and daily stages) stay off the campaign leaderboards
+        if (this.levelManager.isCustomLevel()) {
+            this.afterAnimations(() => this.showSuccessScreen(completionTime, null, stars, moveCount));
+            return;
+        }
+
+        // Record campaign progress (unlocks the next level)
+        this.progress.recordCompletion(this.playerName, this.levelManager.getLevelName(), {
+            time: completionTime,
+            moves: moveCount,
+            stars: stars
+        });
+
+        // Add score to the level's leaderboard
+        const ranks = this.leaderboard.addScore(this.playerName, completionTime, {
+            levelIndex: this.levelManager.currentLevelIndex,
+            moves: moveCount,
+            stars: stars,
+            hintsUsed: this.hintsUsed,
+            undosUsed: this.undosUsed,
+            mode: this.mode,
+            replay: replay
+        });
+
+        // Show success screen with stars
+        this.afterAnimations(() => this.showSuccessScreen(completionTime, ranks, stars, moveCount));
+    }
+
+    /**
+     * Undo the last move, including the tiles it changed
+     */
+    undoMove() {
+        if (!this.isPlaying || !this.isUndoAllowed()) return;
+        if (this.history.undo(this.player, this.levelManager)) {
+            this.animations.clear();
+            this.undosUsed++;
+            this.recorder.record(REPLAY_EVENTS.UNDO);
+            this.updateMovesUI();
+            this.updateKeysUI();
+            this.updatePlayerColorUI();
+            this.showFloatingText(this.player.x, this.player.y, 'Undone!', '#95a5a6');
+        }
+    }
+
+    /**
+     * Checks if the run's mode allows undo and redo (hardcore doesn't)
+     */
+    isUndoAllowed() {
+        if (DIFFICULTY_SETTINGS[this.mode].undo) return true;
+        const pos = this.player.getPosition();
+        this.showFloatingText(pos.x, pos.y, '💀 No undo in hardcore mode', '#e74c3c');
+        return false;
+    }
+
+    /**
+     * Redo the last undone move
+     */
+    redoMove() {
+        if (!this.isPlaying || !this.isUndoAllowed()) return;
+        if (this.history.redo(this.player, this.levelManager)) {
+            this.animations.clear();
+            this.recorder.record(REPLAY_EVENTS.REDO);
+            this.updateMovesUI();
+            this.updateKeysUI();
+            this.updatePlayerColorUI();
+            this.showFloatingText(this.player.x, this.player.y, 'Redone!', '#95a5a6');
+        }
+    }
+
+    /**
+     * Show a hint to the player: the first step of a shortest winning path
+     * from the current state (color, keys and tiles as they are now)
+     */
+    showHint() {
+        if (!this.isPlaying) return;
+        const playerPos = this.player.getPosition();
+        const result = new LevelSolver(this.levelManager).solveFrom(this.player);
+        this.hintsUsed++;
+
+        if (result.solvable) {
+            const direction = result.path[0].name.toUpperCase();
+            this.showFloatingText(playerPos.x, playerPos.y,
+                `Hint: Try moving ${direction} (${result.moves} moves to go)`, '#3498db');
+        } else if (result.solvable === false) {
+            const advice = DIFFICULTY_SETTINGS[this.mode].undo ? 'Undo or restart!' : 'Restart to try again!';
+            this.showFloatingText(playerPos.x, playerPos.y,
+                `The goal can no longer be reached from here. ${advice}`, '#e74c3c');
+        } else {
+            this.showFloatingText(playerPos.x, playerPos.y,
+                'Hint: This position is too complex to analyze', '#95a5a6');
+        }
+    }
+
+    /**
+     * Updates the moves counter UI
+     */
+    updateMovesUI() {
+        const movesElement = document.getElementById('moveCount');
+        if (movesElement) {
+            const moves = this.player.getMoves();
+            const target = this.levelManager.getTargetMoves();
+            const max = this.levelManager.getMaxMoves();
+            movesElement.textContent = max === null ?
+                `${moves}/${target}` : `${moves}/${target} (${Math.max(0, max - moves)} left)`;
+
+            // Color code based on performance
+            if (moves <= target) {
+                movesElement.style.color = '#27ae60'; // Green
+            } else if (moves <= target * 1.3) {
+                movesElement.style.color = '#f39c12'; // Orange
+            } else {
+                movesElement.style.color = '#e74c3c'; // Red
+            }
+
+            // Move-limited levels warn as the moves left run low
+            this.setLimitState(movesElement, max === null ? null : max - moves, max);
+        }
+    }
+
+    /**
+     * Updates the timer display: time taken, or time left on time-limited levels
+     */
+    updateTimerUI() {
+        const timerElement = document.getElementById('timer');
+        if (timerElement) {
+            const remaining = this.timer.getRemainingTime();
+            timerElement.textContent = this.timer.formatTime(
+                remaining === null ? this.timer.getElapsedTime() : remaining);
+            this.setLimitState(timerElement, remaining, this.timer.limit);
+        }
+    }
+
+    /**
+     * Marks a HUD counter as running low (`limit-warning`) or nearly out
+     * (`limit-critical`) against a level limit
+     * @param {number|null} left - Amount of the limit left (null when there's no limit)
+     */
+    setLimitState(element, left, limit) {
+        const critical = left !== null && left <= limit * LIMIT_CRITICAL_SHARE;
+        const warning = left !== null && !critical && left <= limit * LIMIT_WARNING_SHARE;
+        element.classList.toggle('limit-critical', critical);
+        element.classList.toggle('limit-warning', warning);
+    }
+
+    /**
+     * Updates the keys counter UI
+     */
+    updateKeysUI() {
+        const keysElement = document.getElementById('keyCount');
+        if (keysElement) {
+            keysElement.textContent = this.player.getKeys();
+        }
+    }
+
+    /**
+     * Updates the lives counter UI (casual mode never loses lives)
+     */
+    updateLivesUI() {
+        const livesElement = document.getElementById('livesCount');
+        if (livesElement) {
+            const settings = DIFFICULTY_SETTINGS[this.mode];
+            livesElement.textContent = settings.rewind ? '∞' :
+                '❤️'.repeat(this.player.getLives()) + '🖤'.repeat(this.player.maxLives - this.player.getLives());
+            livesElement.title = `${settings.label} mode`;
+        }
+    }
+
+    /**
+     * Restarts the current level
+     */
+    restartLevel() {
+        // Restarting the daily challenge uses up another attempt
+        if (this.daily) {
+            this.startDaily();
+            return;
+        }
+
+        this.closeMathPuzzle();
+        this.clearPause();
+        this.clearAnimations();
+        this.recorder.record(REPLAY_EVENTS.RESTART);
+
+        // Show game screen
+        this.showGameScreen();
+
+        // Reload the level to reset tiles (fragile, keys, doors, math gates)
+        this.levelManager.reloadLevel();
+
+        // Reset player (lives too)
+        this.player.reset();
+        this.history.clear();
+        this.saveCheckpoint();
+        this.renderer.snapCamera(this.player);
+
+        // Reset timer
+        this.timer.reset();
+        this.timer.start();
+
+        this.hintsUsed = 0;
+        this.undosUsed = 0;
+
+        // Update UI
+        this.updatePlayerColorUI();
+        this.updateMovesUI();
+        this.updateKeysUI();
+        this.updateLivesUI();
+        this.updateTimerUI();
+
+        // Hide status message
+        this.hideStatusMessage();
 
-        // Animation frame ID
-        this.animationId = null;
+        // Resume playing
+        this.setPlaying(true);
+        this.sound.startMusic();
 
-        this.setupUI();
+        if (!this.animationId) {
+            this.gameLoop();
+        }
     }
 
     /**
-     * Sets up UI event listeners
+     * Shows or hides the on-screen d-pad
      */
-    setupUI() {
-        // Start button
-        document.getElementById('startButton').addEventListener('click', () => {
-            this.startGame();
-        });
-
-        // Allow Enter key to start game
-        document.getElementById('playerName').addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this.startGame();
-            }
-        });
+    setDpadVisible(visible) {
+        document.getElementById('dpad').classList.toggle('hidden', !visible);
+        document.getElementById('dpadToggleButton').classList.toggle('active', visible);
+    }
 
-        // Game control buttons
-        document.getElementById('restartButton').addEventListener('click', () => {
-            this.restartLevel();
-        });
+    /**
+     * Pauses or resumes the level. With the settings panel open (from the
+     * pause menu) the pause key closes it instead.
+     */
+    togglePause() {
+        if (!document.getElementById('settingsModal').classList.contains('hidden')) {
+            this.closeSettings();
+            return;
+        }
+        if (this.paused) {
+            this.resumeGame();
+        } else {
+            this.pauseGame();
+        }
+    }
 
-        document.getElementById('undoButton').addEventListener('click', () => {
-            this.undoMove();
-        });
+    /**
+     * Pauses the level: stops the timer, hides the board behind the pause
+     * menu and ignores every input except pause
+     */
+    pauseGame() {
+        if (!this.isPlaying || this.replayPlayer) return;
+        this.paused = true;
+        this.setPlaying(false);
+        this.timer.pause();
+        this.sound.stopMusic();
+        // Finish any slide at once so nothing is left to draw
+        this.clearAnimations();
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        this.renderer.hideBoard();
+        this.updatePauseUI();
+    }
 
-        document.getElementById('hintButton').addEventListener('click', () => {
-            this.showHint();
-        });
+    /**
+     * Resumes a paused level
+     */
+    resumeGame() {
+        if (!this.paused) return;
+        this.paused = false;
+        this.timer.resume();
+        this.sound.startMusic();
+        this.updatePauseUI();
+        this.setPlaying(true);
+        this.resumeGameLoop();
+    }
 
-        document.getElementById('mainMenuButton').addEventListener('click', () => {
-            this.showWelcomeScreen();
-        });
+    /**
+     * Drops the paused state when the level is left or restarted
+     */
+    clearPause() {
+        if (!this.paused) return;
+        this.paused = false;
+        this.updatePauseUI();
+    }
 
-        // Failure screen buttons
-        document.getElementById('retryButton').addEventListener('click', () => {
-            this.restartLevel();
-        });
+    /**
+     * Mutes or unmutes all sound
+     */
+    toggleMute() {
+        const muted = this.sound.toggleMute();
+        this.updateSoundUI();
+        if (this.player && this.isPlaying) {
+            const pos = this.player.getPosition();
+            this.showFloatingText(pos.x, pos.y, muted ? '🔇 Muted' : '🔊 Sound on', '#2c3e50');
+        }
+    }
 
-        document.getElementById('failureMainMenuButton').addEventListener('click', () => {
-            this.showWelcomeScreen();
+    /**
+     * Updates the mute button and the sound settings from the sound manager
+     */
+    updateSoundUI() {
+        const muted = this.sound.isMuted();
+        const muteLabel = this.inputHandler.getKeyLabel(INPUT_ACTIONS.MUTE);
+        document.getElementById('muteButton').innerHTML = muted ?
+            `🔇 Muted (<span class="key-hint" data-action="mute">${muteLabel}</span>)` :
+            `🔊 Sound (<span class="key-hint" data-action="mute">${muteLabel}</span>)`;
+        document.getElementById('muteButton').classList.toggle('active', muted);
+        document.getElementById('muteCheckbox').checked = muted;
+        SOUND_CHANNELS.forEach(channel => {
+            document.getElementById(`volume-${channel}`).value = Math.round(this.sound.getVolume(channel) * 100);
         });
+    }
 
-        // Success screen buttons
-        document.getElementById('playAgainButton').addEventListener('click', () => {
-            this.restartGame();
+    /**
+     * Updates the pause button and menu, and disables the other controls while
+     * paused or play is stopped (undo and redo stay disabled in hardcore mode)
+     */
+    updatePauseUI() {
+        document.getElementById('pauseOverlay').classList.toggle('hidden', !this.paused);
+        const pauseLabel = this.inputHandler.getKeyLabel(INPUT_ACTIONS.PAUSE);
+        document.getElementById('pauseButton').innerHTML = this.paused ?
+            `▶️ Resume (<span class="key-hint" data-action="pause">${pauseLabel}</span>)` :
+            `⏸️ Pause (<span class="key-hint" data-action="pause">${pauseLabel}</span>)`;
+        document.getElementById('restartButton').disabled = this.paused;
+        // Hints, undo and redo only work mid-play (not paused, dying or in a math puzzle); hardcore has no undo
+        document.getElementById('hintButton').disabled = !this.isPlaying;
+        ['undoButton', 'redoButton'].forEach(id => {
+            document.getElementById(id).disabled = !this.isPlaying || !DIFFICULTY_SETTINGS[this.mode].undo;
         });
+    }
 
-        document.getElementById('viewLeaderboardButton').addEventListener('click', () => {
-            this.showWelcomeScreen();
-        });
+    /**
+     * Starts or stops play, turning the play-only buttons on or off with it
+     */
+    setPlaying(playing) {
+        this.isPlaying = playing;
+        this.updatePauseUI();
     }
 
     /**
-     * Starts the game
+     * Restarts the entire game
      */
-    startGame(levelIndex = 0) {
-        // Get player name if not already set
-        if (!this.playerName) {
-            const nameInput = document.getElementById('playerName');
-            this.playerName = nameInput.value.trim() || 'Anonymous';
+    restartGame() {
+        // Cancel animation frame
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
         }
 
-        // Load specified level
-        if (!this.levelManager.loadLevel(levelIndex)) {
-            console.error('Failed to load level');
+        // Reset state
+        this.setPlaying(false);
+        this.timer.reset();
+
+        // Restart game (a play test restarts the level being tested)
+        if (this.daily) {
+            this.startDaily();
             return;
         }
+        this.startGame(this.levelManager.isCustomLevel() ? this.levelManager.currentLevel : 0);
+    }
 
-        // Initialize player
-        const startPos = this.levelManager.getStartPosition();
-        this.player = new Player(startPos.x, startPos.y, COLORS.RED);
+    /**
+     * Updates the player color indicator in UI
+     */
+    updatePlayerColorUI() {
+        const colorElement = document.getElementById('currentPlayerColor');
+        const color = this.player.getColor();
 
-        // Initialize canvas
-        const { width, height } = this.levelManager.getDimensions();
-        this.renderer.initCanvas(width, height);
+        // Capitalize first letter; mixed colors show what they're made of
+        const capitalize = name => name.charAt(0).toUpperCase() + name.slice(1);
+        const parts = getColorParts(color);
+        colorElement.textContent = parts
+            ? `${capitalize(color)} (${parts.map(capitalize).join(' + ')})`
+            : capitalize(color);
 
-        // Update UI
-        document.getElementById('currentPlayerName').textContent = this.playerName;
-        this.updatePlayerColorUI();
-        document.getElementById('currentLevel').textContent = `${levelIndex + 1}/${LEVELS.length}`;
-        this.updateMovesUI();
-        this.updateKeysUI();
+        // Set background color
+        colorElement.style.backgroundColor = COLOR_VALUES[color];
+        colorElement.style.color = '#fff';
+    }
 
-        // Show game screen
-        this.showGameScreen();
+    /**
+     * Updates the leaderboard display for the selected level and view
+     */
+    updateLeaderboardDisplay() {
+        const listElement = document.getElementById('leaderboardList');
+        const fewestMoves = this.leaderboardView === LEADERBOARD_VIEWS.FEWEST_MOVES;
 
-        // Start playing
-        this.isPlaying = true;
-        this.timer.start();
+        // Level picker: every level, plus the migrated-scores bucket if it has entries
+        const levelSelect = document.getElementById('leaderboardLevelSelect');
+        levelSelect.innerHTML = '';
+        LEVELS.forEach((level, index) => {
+            levelSelect.add(new Option(`Level ${index + 1}`, String(index)));
+        });
+        if (this.leaderboard.hasUnknownScores()) {
+            levelSelect.add(new Option('Unknown level', UNKNOWN_LEVEL_KEY));
+        }
+        levelSelect.value = this.leaderboardLevel === null ? UNKNOWN_LEVEL_KEY : String(this.leaderboardLevel);
 
-        // Start game loop
-        this.gameLoop();
+        document.getElementById('leaderboardFastestTab').classList.toggle('active', !fewestMoves);
+        document.getElementById('leaderboardMovesTab').classList.toggle('active', fewestMoves);
 
-        // Update leaderboard display
-        this.updateLeaderboardDisplay();
-    }
+        const scores = this.leaderboard.getTopScores(this.leaderboardLevel, this.leaderboardView);
+        if (scores.length === 0) {
+            listElement.innerHTML = '<p style="text-align: center; color: #7f8c8d;">No scores yet!</p>';
+            return;
+        }
 
-    /**
-     * Main game loop
-     */
-    gameLoop() {
-        if (!this.isPlaying) return;
+        listElement.innerHTML = '';
+        scores.forEach((entry, index) => {
+            const rank = index + 1;
+            const entryDiv = document.createElement('div');
+            entryDiv.className = `leaderboard-entry rank-${rank}`;
 
-        // Update timer display
-        const elapsed = this.timer.getElapsedTime();
-        document.getElementById('timer').textContent = this.timer.formatTime(elapsed);
+            const movesText = entry.moves === null ? '—' : `${entry.moves} moves`;
+            const timeText = `${entry.time.toFixed(2)}s`;
 
-        // Render
-        this.renderer.draw(this.levelManager, this.player);
+            entryDiv.innerHTML = `
+                <span class="entry-rank">#${rank}</span>
+                <span class="entry-name"></span>
+                <span class="entry-stars">${entry.stars ? '⭐'.repeat(entry.stars) : ''}</span>
+                <span class="entry-time">${fewestMoves ? movesText : timeText}</span>
+            `;
+            const mode = DIFFICULTY_SETTINGS[entry.mode] || DIFFICULTY_SETTINGS[DIFFICULTY_MODES.NORMAL];
+            entryDiv.querySelector('.entry-name').textContent = `${entry.name} ${mode.badge}`.trim();
+            entryDiv.title = `${timeText} · ${movesText} · ` +
+                `hints: ${entry.hintsUsed === null ? '—' : entry.hintsUsed} · ` +
+                `undos: ${entry.undosUsed === null ? '—' : entry.undosUsed} · ${mode.label} mode`;
+
+            if (entry.replay) {
+                const replayButton = document.createElement('button');
+                replayButton.className = 'entry-replay';
+                replayButton.textContent = '▶️';
+                replayButton.title = 'Watch replay';
+                replayButton.addEventListener('click', () => {
+                    this.startReplay(entry.replay, entry.name);
+                });
+                entryDiv.appendChild(replayButton);
+            }
 
-        // Continue loop
-        this.animationId = requestAnimationFrame(() => this.gameLoop());
+            listElement.appendChild(entryDiv);
+        });
     }
 
     /**
-     * Moves the player in a direction
+     * Plays back a recorded run
+     * @param {Object} log - Replay log from ReplayRecorder
+     * @param {string} playerName - Whose run it is, for the UI
      */
-    movePlayer(dx, dy) {
-        const currentPos = this.player.getPosition();
-        const newX = currentPos.x + dx;
-        const newY = currentPos.y + dy;
-
-        // Check if new position is walkable
-        if (!this.levelManager.isWalkable(newX, newY)) {
-            return; // Can't move to obstacles
+    startReplay(log, playerName) {
+        const level = LEVELS[log.level];
+        if (!level || level.name !== log.name || log.v > REPLAY_VERSION) {
+            this.showStatusMessage('⚠️ This replay was recorded on a level that is not loaded.', false);
+            setTimeout(() => this.hideStatusMessage(), 2500);
+            return false;
         }
 
-        // Move player
-        this.player.moveTo(newX, newY);
+        // Replays are played in the mode they were recorded in (older logs predate modes)
+        this.startGame(log.level, DIFFICULTY_SETTINGS[log.mode] ? log.mode : DIFFICULTY_MODES.NORMAL);
+        this.recorder.stop();
+        this.replayPlayer = new ReplayPlayer(this, log);
+        this.replayPlayer.setSpeed(parseFloat(document.getElementById('replaySpeedSelect').value));
 
-        // Check what tile the player landed on
-        const tile = this.levelManager.getTile(newX, newY);
-        this.handleTileInteraction(tile);
+        document.getElementById('currentPlayerName').textContent = playerName;
+        document.getElementById('gameScreen').classList.add('replaying');
+        document.getElementById('replayControls').classList.remove('hidden');
+        this.replayPlayer.play();
+        return true;
     }
 
     /**
-     * Handles interactions with tiles
+     * Stops any replay that is playing
      */
-    handleTileInteraction(tile) {
-        const playerColor = this.player.getColor();
-        const pos = this.player.getPosition();
-
-        switch (tile.type) {
-            case TILE_TYPES.EMPTY:
-                // Fell into pit - death
-                this.playerDied('You fell into a pit!');
-                break;
-
-            case TILE_TYPES.GROUND:
-                // Player can ONLY step on their own color or neutral ground
-                // Stepping on any other color causes death
-                if (tile.color !== playerColor && tile.color !== COLORS.NEUTRAL) {
-                    this.playerDied(`You can't walk on ${tile.color} ground!`);
-                }
-                break;
-
-            case TILE_TYPES.FRAGILE:
-                // Fragile tiles can only be stepped on once
-                if (tile.used) {
-                    this.playerDied('The fragile tile crumbled beneath you!');
-                } else {
-                    tile.used = true; // Mark as used after stepping on it
-                }
-                break;
+    stopReplay() {
+        if (!this.replayPlayer) return;
+        this.replayPlayer.pause();
+        this.replayPlayer = null;
 
-            case TILE_TYPES.COLOR_CHANGE:
-                // Change player color
-                this.player.setColor(tile.color);
-                this.updatePlayerColorUI();
-                this.showParticleEffect(pos.x, pos.y, tile.color);
-                break;
+        document.getElementById('currentPlayerName').textContent = this.playerName;
+        document.getElementById('gameScreen').classList.remove('replaying');
+        document.getElementById('replayControls').classList.add('hidden');
+    }
 
-            case TILE_TYPES.KEY:
-                // Collect key
-                if (!tile.collected) {
-                    tile.collected = true;
-                    this.player.addKey();
-                    this.updateKeysUI();
-                    this.showFloatingText(pos.x, pos.y, '+1 Key!', '#f39c12');
-                }
-                break;
+    /**
+     * Updates the replay progress and play/pause button
+     */
+    updateReplayControls() {
+        if (!this.replayPlayer) return;
+        const { index, log, playing } = this.replayPlayer;
+        document.getElementById('replayProgress').textContent = `${index}/${log.events.length}`;
+        document.getElementById('replayPlayButton').textContent = playing ? '⏸️ Pause' : '▶️ Play';
+    }
 
-            case TILE_TYPES.DOOR:
-                // Try to open door with key
-                if (tile.locked) {
-                    if (this.player.useKey()) {
-                        tile.locked = false;
-                        this.updateKeysUI();
-                        this.showFloatingText(pos.x, pos.y, 'Door Unlocked!', '#27ae60');
-                    } else {
-                        this.playerDied('You need a key to open this door!');
-                    }
-                }
-                break;
+    /**
+     * Takes the player name from the welcome screen input
+     */
+    readPlayerName() {
+        this.playerName = document.getElementById('playerName').value.trim() || 'Anonymous';
+    }
 
-            case TILE_TYPES.MATH_GATE:
-                // Math puzzle gate
-                if (tile.locked) {
-                    this.showMathPuzzle(tile, pos.x, pos.y);
-                }
-                break;
+    /**
+     * Rebuilds the welcome screen level select grid and continue button
+     * for the name in the name input
+     */
+    updateLevelSelect() {
+        const playerName = document.getElementById('playerName').value.trim() || 'Anonymous';
+        const grid = document.getElementById('levelSelectGrid');
+        const labels = grid.dataset;
+        grid.innerHTML = '';
+
+        LEVELS.forEach((level, index) => {
+            const record = this.progress.getLevelProgress(playerName, level.name);
+            const unlocked = this.progress.isUnlocked(playerName, index);
+
+            const button = document.createElement('button');
+            button.className = 'level-select-item' + (record ? ' completed' : '') + (unlocked ? '' : ' locked');
+            button.disabled = !unlocked;
+            button.title = level.name;
+            button.innerHTML = `
+                <span class="level-select-number">${unlocked ? index + 1 : '🔒'}</span>
+                <span class="level-select-stars">${record ? '⭐'.repeat(record.bestStars) + '☆'.repeat(3 - record.bestStars) : '☆☆☆'}</span>
+                <span class="level-select-stats">${record ? `${this.timer.formatTime(record.bestTime)} · ${record.bestMoves} ${labels.movesLabel}` : (unlocked ? labels.incompleteLabel : labels.lockedLabel)}</span>
+            `;
+            button.addEventListener('click', () => {
+                this.readPlayerName();
+                this.startGame(index);
+            });
+            grid.appendChild(button);
+        });
 
-            case TILE_TYPES.GOAL:
-                // Level completed!
-                this.levelCompleted();
-                break;
+        // Continue: the first level not yet completed
+        const continueButton = document.getElementById('continueButton');
+        const continueLevel = this.progress.getContinueLevel(playerName);
+        const canContinue = this.progress.hasProgress(playerName) && continueLevel !== null;
+        continueButton.classList.toggle('hidden', !canContinue);
+        if (canContinue) {
+            document.getElementById('continueLevelNumber').textContent = continueLevel + 1;
         }
-
-        // Update moves display
-        this.updateMovesUI();
     }
 
     /**
-     * Shows a math puzzle dialog
+     * Opens the settings panel (key bindings and sound)
      */
-    showMathPuzzle(tile, x, y) {
-        this.isPlaying = false;
-        const answer = prompt(`Math Challenge!\n\n${tile.question} = ?`);
+    openSettings() {
+        this.updateSettingsPanel();
+        this.updateSoundUI();
+        document.getElementById('settingsModal').classList.remove('hidden');
+    }
 
-        if (answer !== null) {
-            if (parseInt(answer) === tile.answer) {
-                tile.locked = false;
-                this.showFloatingText(x, y, 'Correct! ✓', '#27ae60');
-                this.isPlaying = true;
-            } else {
-                this.playerDied('Wrong answer! Try again.');
-            }
-        } else {
-            this.isPlaying = true;
-        }
+    /**
+     * Closes the settings panel, dropping any unfinished rebind
+     */
+    closeSettings() {
+        this.inputHandler.rebinding = null;
+        document.getElementById('settingsModal').classList.add('hidden');
+        this.updateKeyHints();
     }
 
     /**
-     * Shows particle effect at position
+     * Rebuilds the key bindings list: one row per action with a button for
+     * each key slot. Clicking a slot waits for the next key press.
      */
-    showParticleEffect(x, y, color) {
-        // Visual feedback for color changes
-        // This creates a simple visual cue
-        const element = document.getElementById('statusMessage');
-        element.style.display = 'none'; // Will be animated in CSS
+    updateSettingsPanel() {
+        const list = document.getElementById('bindingsList');
+        list.innerHTML = '';
+
+        Object.values(INPUT_ACTIONS).forEach(action => {
+            const row = document.createElement('div');
+            row.className = 'binding-row';
+            const label = document.createElement('span');
+            label.className = 'binding-label';
+            label.textContent = INPUT_ACTION_LABELS[action];
+            row.appendChild(label);
+
+            const keys = this.inputHandler.getBindings(action);
+            const rebinding = this.inputHandler.rebinding;
+            for (let slot = 0; slot < MAX_KEYS_PER_ACTION; slot++) {
+                // An empty alternate slot fills the first free one
+                const targetSlot = Math.min(slot, keys.length);
+                const button = document.createElement('button');
+                button.className = 'binding-slot';
+                if (rebinding && rebinding.action === action && rebinding.slot === slot) {
+                    button.classList.add('waiting');
+                    button.textContent = 'Press a key…';
+                } else {
+                    button.textContent = keys[slot] ? this.inputHandler.formatKey(keys[slot]) : '—';
+                }
+                button.addEventListener('click', () => {
+                    this.inputHandler.startRebinding(action, targetSlot, () => {
+                        this.updateSettingsPanel();
+                        this.updateKeyHints();
+                    });
+                    this.updateSettingsPanel();
+                });
+                row.appendChild(button);
+            }
+            list.appendChild(row);
+        });
     }
 
     /**
-     * Shows floating text at position
+     * Writes the current key bindings into every key hint on the page
      */
-    showFloatingText(x, y, text, color) {
-        const messageElement = document.getElementById('statusMessage');
-        messageElement.textContent = text;
-        messageElement.style.color = color;
-        messageElement.classList.remove('hidden');
-        messageElement.classList.add('floating-text');
-
-        setTimeout(() => {
-            messageElement.classList.add('hidden');
-            messageElement.classList.remove('floating-text');
-        }, 1500);
+    updateKeyHints() {
+        document.querySelectorAll('.key-hint[data-action]').forEach(element => {
+            const action = element.dataset.action;
+            element.textContent = action === 'move' ?
+                this.inputHandler.getMovementLabel() :
+                this.inputHandler.getKeyLabel(action);
+        });
     }
 
     /**
-     * Handles player death
+     * Reads a level pack file and imports it using the selected mode
      */
-    playerDied(message) {
-        this.isPlaying = false;
-
-        // Stop the timer
-        this.timer.stop();
+    importLevelPackFile(file) {
+        const mode = document.getElementById('levelPackMode').value;
+        const reader = new FileReader();
+
+        reader.onload = () => {
+            const result = this.levelManager.importLevelPack(reader.result, mode);
+            if (result.success) {
+                if (this.leaderboardLevel !== null && this.leaderboardLevel >= LEVELS.length) {
+                    this.leaderboardLevel = 0;
+                }
+                this.updateLevelPackInfo();
+                this.updateLevelSelect();
+                this.showLevelPackStatus([`Imported ${result.count} level(s) from "${file.name}"`], false);
+            } else {
+                this.showLevelPackStatus(result.errors, true);
+            }
+        };
+        reader.onerror = () => {
+            this.showLevelPackStatus([`Could not read "${file.name}"`], true);
+        };
 
-        // Show failure screen instead of auto-restarting
-        this.showFailureScreen(message);
+        reader.readAsText(file);
     }
 
     /**
-     * Handles level completion
+     * Downloads the current levels as a level pack file
      */
-    levelCompleted() {
-        this.isPlaying = false;
-        const completionTime = this.timer.stop();
-        const moveCount = this.player.getMoves();
-        const stars = this.levelManager.calculateStars(moveCount);
-
-        // Add score to leaderboard
-        const rank = this.leaderboard.addScore(this.playerName, completionTime);
+    exportLevelPack() {
+        const pack = this.levelManager.exportLevelPack();
+        const json = JSON.stringify(pack, null, 2);
+        const fileName = (pack.meta.name || 'level-pack').toLowerCase().replace(/[^a-z0-9]+/g, '-') + '.json';
+
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
 
-        // Show success screen with stars
-        this.showSuccessScreen(completionTime, rank, stars, moveCount);
+    /**
+     * Shows the current pack's name and level count on the welcome screen
+     */
+    updateLevelPackInfo() {
+        document.getElementById('levelPackName').textContent = this.levelManager.packMeta.name || 'Untitled pack';
+        document.getElementById('levelPackCount').textContent = LEVELS.length;
     }
 
     /**
-     * Undo the last move
+     * Starts the level in a #level= link, if the page's hash has one
+     * @returns {boolean} True if a level was started
      */
-    undoMove() {
-        if (this.player.undo()) {
-            this.updateMovesUI();
-            this.updateKeysUI();
-            this.updatePlayerColorUI();
-            this.showFloatingText(this.player.x, this.player.y, 'Undone!', '#95a5a6');
+    loadLevelFromHash() {
+        if (!window.location.hash.includes(`${LEVEL_CODE_HASH_KEY}=`)) {
+            return false;
         }
+        return this.playLevelCode(window.location.hash);
     }
 
     /**
-     * Show a hint to the player
+     * Decodes a level code and plays it; a bad code is explained on the welcome screen
+     * @param {string} text - A level code or a link containing one
+     * @returns {boolean} True if the level was started
      */
-    showHint() {
-        const goalPos = this.levelManager.getGoalPosition();
-        const playerPos = this.player.getPosition();
-
-        const dx = goalPos.x - playerPos.x;
-        const dy = goalPos.y - playerPos.y;
-
-        let hint = 'Hint: ';
-        if (Math.abs(dx) > Math.abs(dy)) {
-            hint += dx > 0 ? 'Try moving RIGHT' : 'Try moving LEFT';
-        } else {
-            hint += dy > 0 ? 'Try moving DOWN' : 'Try moving UP';
+    playLevelCode(text) {
+        const result = this.levelCodec.decode(text);
+        if (!result.success) {
+            result.errors.forEach(error => console.warn(`Level code: ${error}`));
+            this.showWelcomeScreen();
+            this.showLevelCodeStatus(result.errors, true);
+            return false;
         }
 
-        this.showFloatingText(playerPos.x, playerPos.y, hint, '#3498db');
+        this.showLevelCodeStatus([], false);
+        this.sharedLevel = result.level;
+        this.startGame(result.level);
+        return true;
     }
 
     /**
-     * Updates the moves counter UI
+     * Shows why a level code couldn't be opened (hidden when there are no messages)
      */
-    updateMovesUI() {
-        const movesElement = document.getElementById('moveCount');
-        if (movesElement) {
-            const moves = this.player.getMoves();
-            const target = this.levelManager.getTargetMoves();
-            movesElement.textContent = `${moves}/${target}`;
+    showLevelCodeStatus(messages, isError) {
+        const statusElement = document.getElementById('levelCodeStatus');
+        statusElement.textContent = messages.join('\n');
+        statusElement.className = 'level-code-status' + (isError ? ' error' : '') +
+            (messages.length === 0 ? ' hidden' : '');
+    }
 
-            // Color code based on performance
-            if (moves <= target) {
-                movesElement.style.color = '#27ae60'; // Green
-            } else if (moves <= target * 1.3) {
-                movesElement.style.color = '#f39c12'; // Orange
-            } else {
-                movesElement.style.color = '#e74c3c'; // Red
-            }
-        }
+    /**
+     * Goes back to the welcome screen and lists why a level wouldn't load
+     * (its validator errors), where level pack import errors are shown
+     */
+    showLevelLoadErrors(level) {
+        const validation = this.levelManager.validation;
+        const reasons = validation && !validation.valid ? validation.errors.map(error => error.message) : [];
+        this.showWelcomeScreen();
+        this.showLevelPackStatus([`Could not load "${level ? level.name : 'that level'}":`].concat(reasons), true);
     }
 
     /**
-     * Updates the keys counter UI
+     * Shows the result of a level pack import
      */
-    updateKeysUI() {
-        const keysElement = document.getElementById('keyCount');
-        if (keysElement) {
-            keysElement.textContent = this.player.getKeys();
-        }
+    showLevelPackStatus(messages, isError) {
+        const statusElement = document.getElementById('levelPackStatus');
+        statusElement.textContent = messages.join('\n');
+        statusElement.className = 'level-pack-status' + (isError ? ' error' : '');
     }
 
     /**
-     * Restarts the current level
+     * Sets up the level editor screen: palette, canvas painting and tools
      */
-    restartLevel() {
-        // Show game screen
-        this.showGameScreen();
+    setupEditorUI() {
+        this.buildEditorPalette();
+
+        // Click-and-drag painting
+        const canvas = this.editor.canvas;
+        let painting = false;
+        const paintAt = (e) => {
+            const cell = this.editor.cellFromEvent(e);
+            if (!cell) return;
+            this.editor.paint(cell.x, cell.y);
+
+            // Math gates and teleporters have settings of their own
+            const code = this.editor.getCode(cell.x, cell.y);
+            this.editor.selectedCell = (code === 'MG' || code === 'T') ? cell : null;
+            this.updateEditorPanel();
+        };
+        canvas.addEventListener('mousedown', (e) => {
+            painting = true;
+            paintAt(e);
+        });
+        canvas.addEventListener('mousemove', (e) => {
+            if (painting) paintAt(e);
+        });
+        document.addEventListener('mouseup', () => {
+            painting = false;
+        });
 
-        // Reload the level to reset tiles (fragile, keys, doors, math gates)
-        this.levelManager.loadLevel(this.levelManager.currentLevelIndex);
+        document.getElementById('editorName').addEventListener('input', (e) => {
+            this.editor.level.name = e.target.value;
+        });
 
-        // Reset player
-        this.player.reset();
+        document.getElementById('editorTargetMoves').addEventListener('change', (e) => {
+            const target = parseInt(e.target.value);
+            this.editor.level.targetMoves = target > 0 ? target : 'auto';
+            e.target.value = target > 0 ? target : '';
+        });
 
-        // Reset timer
-        this.timer.reset();
-        this.timer.start();
+        // Limits are optional: clearing the field removes them
+        Object.entries({ maxMoves: 'editorMaxMoves', timeLimit: 'editorTimeLimit' }).forEach(([field, id]) => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                const value = parseInt(e.target.value);
+                if (value > 0) {
+                    this.editor.level[field] = value;
+                } else {
+                    delete this.editor.level[field];
+                }
+                e.target.value = value > 0 ? value : '';
+                this.updateEditorPanel();
+            });
+        });
 
-        // Update UI
-        this.updatePlayerColorUI();
-        this.updateMovesUI();
-        this.updateKeysUI();
-        document.getElementById('timer').textContent = '0.00s';
+        document.getElementById('editorResizeButton').addEventListener('click', () => {
+            const clamp = value => Math.max(3, Math.min(EDITOR_MAX_SIZE, parseInt(value) || 3));
+            this.editor.resize(clamp(document.getElementById('editorWidth').value),
+                clamp(document.getElementById('editorHeight').value));
+            this.syncEditorFields();
+            this.updateEditorPanel();
+        });
 
-        // Hide status message
-        this.hideStatusMessage();
+        document.getElementById('editorTemplate').addEventListener('change', (e) => {
+            if (e.target.value === '') {
+                this.editor.newLevel(EDITOR_DEFAULT_SIZE.width, EDITOR_DEFAULT_SIZE.height);
+            } else {
+                this.editor.loadConfig(LEVELS[parseInt(e.target.value)]);
+            }
+            this.syncEditorFields();
+            this.updateEditorPanel();
+        });
 
-        // Resume playing
-        this.isPlaying = true;
+        document.getElementById('editorApplyTileButton').addEventListener('click', () => {
+            const cell = this.editor.selectedCell;
+            if (!cell) return;
+            if (this.editor.getCode(cell.x, cell.y) === 'MG') {
+                this.editor.setMathGate(cell.x, cell.y,
+                    document.getElementById('editorGateQuestion').value.trim(),
+                    Number(document.getElementById('editorGateAnswer').value));
+            } else {
+                const toX = document.getElementById('editorTeleportX').value;
+                const toY = document.getElementById('editorTeleportY').value;
+                this.editor.setTeleport(cell.x, cell.y, toX === '' || toY === '' ?
+                    null : { x: parseInt(toX), y: parseInt(toY) });
+            }
+            this.updateEditorPanel();
+        });
 
-        if (!this.animationId) {
-            this.gameLoop();
-        }
+        document.getElementById('editorPlayTestButton').addEventListener('click', () => {
+            this.playTestLevel();
+        });
+
+        document.getElementById('editorExportButton').addEventListener('click', () => {
+            this.exportEditorLevel();
+        });
+
+        document.getElementById('editorCodeButton').addEventListener('click', () => {
+            this.copyEditorLevelCode();
+        });
+
+        document.getElementById('editorBackButton').addEventListener('click', () => {
+            this.showWelcomeScreen();
+        });
     }
 
     /**
-     * Restarts the entire game
+     * Builds the tile palette, one swatch per tile code drawn by the game's renderer
      */
-    restartGame() {
-        // Cancel animation frame
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
-        }
-
-        // Reset state
-        this.isPlaying = false;
-        this.timer.reset();
-
-        // Restart game
-        this.startGame();
+    buildEditorPalette() {
+        const palette = document.getElementById('editorPalette');
+        palette.innerHTML = '';
+
+        Object.keys(TILE_CODES).forEach(code => {
+            const button = document.createElement('button');
+            button.className = 'editor-palette-item' + (code === this.editor.selectedCode ? ' active' : '');
+            button.title = `${TILE_CODES[code]} (${code})`;
+            button.dataset.code = code;
+
+            const swatch = document.createElement('canvas');
+            const swatchRenderer = new Renderer(swatch);
+            swatchRenderer.initCanvas(1, 1);
+            swatchRenderer.drawTile(0, 0, parseTile(code));
+            const label = document.createElement('span');
+            label.textContent = TILE_CODES[code];
+
+            button.appendChild(swatch);
+            button.appendChild(label);
+            button.addEventListener('click', () => {
+                this.editor.selectedCode = code;
+                palette.querySelectorAll('.editor-palette-item').forEach(item => {
+                    item.classList.toggle('active', item.dataset.code === code);
+                });
+            });
+            palette.appendChild(button);
+        });
     }
 
     /**
-     * Updates the player color indicator in UI
+     * Copies the editor level's settings into the toolbar inputs
      */
-    updatePlayerColorUI() {
-        const colorElement = document.getElementById('currentPlayerColor');
-        const color = this.player.getColor();
+    syncEditorFields() {
+        const level = this.editor.level;
+        document.getElementById('editorName').value = level.name;
+        document.getElementById('editorWidth').value = level.width;
+        document.getElementById('editorHeight').value = level.height;
+        document.getElementById('editorTargetMoves').value =
+            typeof level.targetMoves === 'number' ? level.targetMoves : '';
+        document.getElementById('editorMaxMoves').value = level.maxMoves || '';
+        document.getElementById('editorTimeLimit').value = level.timeLimit || '';
+
+        const template = document.getElementById('editorTemplate');
+        const selected = template.value;
+        template.innerHTML = '';
+        const blank = document.createElement('option');
+        blank.value = '';
+        blank.textContent = 'Blank level';
+        template.appendChild(blank);
+        LEVELS.forEach((levelConfig, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `Level ${index + 1}: ${levelConfig.name}`;
+            template.appendChild(option);
+        });
+        template.value = selected < LEVELS.length ? selected : '';
+    }
 
-        // Capitalize first letter
-        const displayColor = color.charAt(0).toUpperCase() + color.slice(1);
-        colorElement.textContent = displayColor;
+    /**
+     * Redraws the editor canvas and refreshes the tile settings and problem list
+     */
+    updateEditorPanel() {
+        this.editor.draw();
+
+        // Settings for the selected math gate or teleporter
+        const cell = this.editor.selectedCell;
+        const props = document.getElementById('editorTileProps');
+        props.classList.toggle('hidden', !cell);
+        if (cell) {
+            const isGate = this.editor.getCode(cell.x, cell.y) === 'MG';
+            document.getElementById('editorTileTitle').textContent =
+                `${isGate ? '🔢 Math gate' : '🌀 Teleporter'} (${cell.x}, ${cell.y})`;
+            document.getElementById('editorGateFields').classList.toggle('hidden', !isGate);
+            document.getElementById('editorTeleportFields').classList.toggle('hidden', isGate);
+
+            if (isGate) {
+                const gate = this.editor.level.mathGates.find(entry => entry.x === cell.x && entry.y === cell.y);
+                document.getElementById('editorGateQuestion').value = gate && gate.question ? gate.question : '';
+                document.getElementById('editorGateAnswer').value = gate && gate.question ? gate.answer : '';
+            } else {
+                const link = this.editor.level.teleports.find(entry => entry.from.x === cell.x && entry.from.y === cell.y);
+                document.getElementById('editorTeleportX').value = link ? link.to.x : '';
+                document.getElementById('editorTeleportY').value = link ? link.to.y : '';
+            }
+        }
 
-        // Set background color
-        colorElement.style.backgroundColor = COLOR_VALUES[color];
-        colorElement.style.color = '#fff';
+        // Validator errors and warnings
+        const result = this.editor.validate();
+        const problems = document.getElementById('editorProblems');
+        problems.innerHTML = '';
+        if (result.errors.length === 0 && result.warnings.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'editor-problem ok';
+            item.textContent = '✅ No problems found';
+            problems.appendChild(item);
+        }
+        result.errors.forEach(error => {
+            const item = document.createElement('li');
+            item.className = 'editor-problem error';
+            item.textContent = `❌ ${error.message}`;
+            problems.appendChild(item);
+        });
+        result.warnings.forEach(warning => {
+            const item = document.createElement('li');
+            item.className = 'editor-problem warning';
+            item.textContent = `⚠️ ${warning.message}`;
+            problems.appendChild(item);
+        });
+        document.getElementById('editorPlayTestButton').disabled = !result.valid;
+        document.getElementById('editorCodeButton').disabled = !result.valid;
     }
 
     /**
-     * Updates the leaderboard display
+     * Starts the game on the editor's unsaved level
      */
-    updateLeaderboardDisplay() {
-        const listElement = document.getElementById('leaderboardList');
-        const scores = this.leaderboard.getTopScores();
+    playTestLevel() {
+        if (!this.editor.validate().valid) {
+            this.updateEditorPanel();
+            return;
+        }
+        this.startGame(this.editor.getLevelConfig());
+    }
 
-        if (scores.length === 0) {
-            listElement.innerHTML = '<p style="text-align: center; color: #7f8c8d;">No scores yet!</p>';
+    /**
+     * Shows a link to the editor level and copies it, for sharing without JSON
+     */
+    copyEditorLevelCode() {
+        if (!this.editor.validate().valid) {
+            this.updateEditorPanel();
             return;
         }
 
-        listElement.innerHTML = '';
-        scores.forEach((entry, index) => {
-            const rank = index + 1;
-            const entryDiv = document.createElement('div');
-            entryDiv.className = `leaderboard-entry rank-${rank}`;
+        const output = document.getElementById('editorOutput');
+        output.value = this.getLevelLink(this.editor.getLevelConfig());
+        output.classList.remove('hidden');
+        output.select();
 
-            entryDiv.innerHTML = `
-                <span class="entry-rank">#${rank}</span>
-                <span class="entry-name">${entry.name}</span>
-                <span class="entry-time">${entry.time.toFixed(2)}s</span>
-            `;
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(output.value).catch(() => {
+                // Clipboard access can be refused; the link stays selected for manual copying
+            });
+        }
+    }
 
-            listElement.appendChild(entryDiv);
-        });
+    /**
+     * Shows the editor level as JSON, ready to paste into LEVELS or a level pack
+     */
+    exportEditorLevel() {
+        const output = document.getElementById('editorOutput');
+        output.value = this.editor.exportJSON();
+        output.classList.remove('hidden');
+        output.select();
+
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(output.value).catch(() => {
+                // Clipboard access can be refused; the text stays selected for manual copying
+            });
+        }
     }
 
     /**
@@ -1633,13 +7801,16 @@ class Game {
     /**
      * Shows the failure screen
      */
-    showFailureScreen(message) {
+    showFailureScreen(message, reason = FAILURE_REASONS.DIED) {
         document.getElementById('welcomeScreen').classList.add('hidden');
         document.getElementById('gameScreen').classList.add('hidden');
         document.getElementById('successScreen').classList.add('hidden');
         document.getElementById('failureScreen').classList.remove('hidden');
+        document.getElementById('editorScreen').classList.add('hidden');
+        document.getElementById('dailyScreen').classList.add('hidden');
 
-        // Update failure message
+        // Update failure title and message
+        document.getElementById('failureTitle').textContent = FAILURE_TITLES[reason];
         document.getElementById('failureReason').textContent = message;
 
         // Cancel game loop
@@ -1653,17 +7824,165 @@ class Game {
      * Shows the welcome screen
      */
     showWelcomeScreen() {
+        this.stopReplay();
+        this.closeMathPuzzle();
+        this.clearPause();
+        this.clearAnimations();
+        this.sound.stopMusic();
+        this.updateLevelSelect();
         document.getElementById('welcomeScreen').classList.remove('hidden');
         document.getElementById('gameScreen').classList.add('hidden');
         document.getElementById('successScreen').classList.add('hidden');
         document.getElementById('failureScreen').classList.add('hidden');
+        document.getElementById('editorScreen').classList.add('hidden');
+        document.getElementById('dailyScreen').classList.add('hidden');
 
         // Cancel game loop
         if (this.animationId) {
             cancelAnimationFrame(this.animationId);
             this.animationId = null;
         }
-        this.isPlaying = false;
+        this.setPlaying(false);
+    }
+
+    /**
+     * Leaves the current level: back to the editor after a play test, to
+     * the daily screen after the daily challenge, otherwise to the welcome screen
+     */
+    leaveLevel() {
+        if (this.daily) {
+            this.showDailyScreen();
+        } else if (this.levelManager.isCustomLevel() && !this.endless && !this.sharedLevel) {
+            this.showEditorScreen();
+        } else {
+            this.showWelcomeScreen();
+        }
+    }
+
+    /**
+     * Gets a link that opens a level straight away
+     */
+    getLevelLink(level) {
+        const page = window.location.href.split('#')[0];
+        return `${page}#${LEVEL_CODE_HASH_KEY}=${this.levelCodec.encode(level)}`;
+    }
+
+    /**
+     * Shows the level editor screen
+     */
+    showEditorScreen() {
+        this.stopReplay();
+        this.clearPause();
+        this.clearAnimations();
+        this.sound.stopMusic();
+        document.getElementById('welcomeScreen').classList.add('hidden');
+        document.getElementById('gameScreen').classList.add('hidden');
+        document.getElementById('successScreen').classList.add('hidden');
+        document.getElementById('failureScreen').classList.add('hidden');
+        document.getElementById('editorScreen').classList.remove('hidden');
+        document.getElementById('dailyScreen').classList.add('hidden');
+
+        // Cancel game loop
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        this.setPlaying(false);
+
+        this.syncEditorFields();
+        this.updateEditorPanel();
+    }
+
+    /**
+     * Shows the daily challenge screen
+     */
+    showDailyScreen() {
+        this.stopReplay();
+        this.clearPause();
+        this.clearAnimations();
+        this.sound.stopMusic();
+        document.getElementById('welcomeScreen').classList.add('hidden');
+        document.getElementById('gameScreen').classList.add('hidden');
+        document.getElementById('successScreen').classList.add('hidden');
+        document.getElementById('failureScreen').classList.add('hidden');
+        document.getElementById('editorScreen').classList.add('hidden');
+        document.getElementById('dailyScreen').classList.remove('hidden');
+
+        // Cancel game loop
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        this.setPlaying(false);
+
+        this.updateDailyScreen();
+    }
+
+    /**
+     * Fills the daily screen with today's level, attempts, result card and board
+     */
+    updateDailyScreen() {
+        const dateKey = this.dailyChallenge.getDateKey();
+        const level = this.dailyChallenge.getLevel(dateKey);
+        const attemptsLeft = this.dailyChallenge.getAttemptsLeft(dateKey, this.playerName);
+
+        document.getElementById('dailyDate').textContent = dateKey;
+        document.getElementById('dailyInfo').textContent =
+            `${level.width}×${level.height} · Target: ${level.targetMoves} moves`;
+        document.getElementById('dailyAttempts').textContent = attemptsLeft > 0 ?
+            `Attempts left today: ${attemptsLeft}/${DAILY_MAX_ATTEMPTS}` :
+            'No attempts left today. Come back tomorrow!';
+        document.getElementById('dailyPlayButton').disabled = attemptsLeft === 0;
+
+        const result = this.dailyChallenge.getResult(dateKey, this.playerName);
+        document.getElementById('dailyResult').classList.toggle('hidden', !result);
+        document.getElementById('dailyResultCard').textContent = result ?
+            this.dailyChallenge.formatResultCard(dateKey, result) : '';
+        document.getElementById('dailyCopyStatus').textContent = '';
+
+        const listElement = document.getElementById('dailyBoardList');
+        const scores = this.dailyChallenge.getTopScores(dateKey);
+        if (scores.length === 0) {
+            listElement.innerHTML = '<p style="text-align: center; color: #7f8c8d;">No one has cleared today\'s puzzle yet!</p>';
+            return;
+        }
+
+        listElement.innerHTML = '';
+        scores.forEach((entry, index) => {
+            const rank = index + 1;
+            const entryDiv = document.createElement('div');
+            entryDiv.className = `leaderboard-entry rank-${rank}`;
+            entryDiv.innerHTML = `
+                <span class="entry-rank">#${rank}</span>
+                <span class="entry-name"></span>
+                <span class="entry-stars">${'⭐'.repeat(entry.stars)}</span>
+                <span class="entry-time">${entry.time.toFixed(2)}s</span>
+            `;
+            const mode = DIFFICULTY_SETTINGS[entry.mode] || DIFFICULTY_SETTINGS[DIFFICULTY_MODES.NORMAL];
+            entryDiv.querySelector('.entry-name').textContent = `${entry.name} ${mode.badge}`.trim();
+            entryDiv.title = `${entry.moves} moves · attempt ${entry.attempt}/${DAILY_MAX_ATTEMPTS} · ${mode.label} mode`;
+            listElement.appendChild(entryDiv);
+        });
+    }
+
+    /**
+     * Copies the player's daily result card to the clipboard
+     */
+    copyDailyResult() {
+        const card = document.getElementById('dailyResultCard');
+        const status = document.getElementById('dailyCopyStatus');
+        // Clipboard access can be refused; then the card is selected for manual copying
+        const selectCard = () => {
+            window.getSelection().selectAllChildren(card);
+            status.textContent = 'Press Ctrl+C to copy';
+        };
+        if (!navigator.clipboard) {
+            selectCard();
+            return;
+        }
+        navigator.clipboard.writeText(card.textContent).then(() => {
+            status.textContent = 'Copied!';
+        }, selectCard);
     }
 
     /**
@@ -1674,16 +7993,20 @@ class Game {
         document.getElementById('gameScreen').classList.remove('hidden');
         document.getElementById('successScreen').classList.add('hidden');
         document.getElementById('failureScreen').classList.add('hidden');
+        document.getElementById('editorScreen').classList.add('hidden');
+        document.getElementById('dailyScreen').classList.add('hidden');
     }
 
     /**
      * Shows the success screen
      */
-    showSuccessScreen(completionTime, rank, stars, moveCount) {
+    showSuccessScreen(completionTime, ranks, stars, moveCount) {
         document.getElementById('welcomeScreen').classList.add('hidden');
         document.getElementById('gameScreen').classList.add('hidden');
         document.getElementById('successScreen').classList.remove('hidden');
         document.getElementById('failureScreen').classList.add('hidden');
+        document.getElementById('editorScreen').classList.add('hidden');
+        document.getElementById('dailyScreen').classList.add('hidden');
 
         // Update success screen content
         document.getElementById('successPlayerName').textContent = this.playerName;
@@ -1704,14 +8027,32 @@ class Game {
             movesElement.textContent = `${moveCount} moves (Target: ${target})`;
         }
 
+        // Show hints used
+        const hintsElement = document.getElementById('completionHints');
+        if (hintsElement) {
+            hintsElement.textContent = this.hintsUsed === 0 ?
+                'No hints used' : `💡 ${this.hintsUsed} hint${this.hintsUsed === 1 ? '' : 's'} used`;
+        }
+
         // Show rank message
         const recordMessage = document.getElementById('recordMessage');
-        if (rank > 0) {
-            if (rank === 1) {
-                recordMessage.textContent = '🏆 NEW RECORD! You\'re #1!';
-            } else {
-                recordMessage.textContent = `🎯 You placed #${rank} on the leaderboard!`;
-            }
+        if (!ranks && this.daily && this.daily.rank) {
+            recordMessage.textContent = `📅 Daily challenge cleared! You're #${this.daily.rank} today.`;
+        } else if (!ranks && this.endless) {
+            recordMessage.textContent = `♾️ Stage ${this.endless.stage} cleared! Seed: ${this.endless.seed}`;
+        } else if (!ranks) {
+            recordMessage.textContent = this.replayPlayer ?
+                '🎬 Replay finished.' : '🛠️ Play test complete! Custom levels are not scored.';
+        } else if (ranks.fastest === 1 || ranks.fewestMoves === 1) {
+            const boards = [];
+            if (ranks.fastest === 1) boards.push('fastest');
+            if (ranks.fewestMoves === 1) boards.push('fewest moves');
+            recordMessage.textContent = `🏆 NEW RECORD! You're #1 for ${boards.join(' and ')}!`;
+        } else if (ranks.fastest > 0 || ranks.fewestMoves > 0) {
+            const placements = [];
+            if (ranks.fastest > 0) placements.push(`#${ranks.fastest} fastest`);
+            if (ranks.fewestMoves > 0) placements.push(`#${ranks.fewestMoves} fewest moves`);
+            recordMessage.textContent = `🎯 You placed ${placements.join(' and ')} on this level!`;
         } else {
             recordMessage.textContent = 'Keep practicing to make the top 10!';
         }
@@ -1719,7 +8060,12 @@ class Game {
         // Show or hide "Next Level" button
         const nextLevelBtn = document.getElementById('nextLevelButton');
         if (nextLevelBtn) {
-            if (this.levelManager.hasNextLevel()) {
+            if (this.endless) {
+                nextLevelBtn.classList.remove('hidden');
+                nextLevelBtn.onclick = () => {
+                    this.startEndlessStage(this.endless.stage + 1);
+                };
+            } else if (this.levelManager.hasNextLevel()) {
                 nextLevelBtn.classList.remove('hidden');
                 nextLevelBtn.onclick = () => {
                     const nextLevel = this.levelManager.currentLevelIndex + 1;
@@ -1727,7 +8073,9 @@ class Game {
                 };
             } else {
                 nextLevelBtn.classList.add('hidden');
-                recordMessage.textContent += ' 🎊 You completed all levels!';
+                if (ranks) {
+                    recordMessage.textContent += ' 🎊 You completed all levels!';
+                }
             }
         }
 
@@ -1809,8 +8157,9 @@ if (document.readyState === 'loading') {
  * - New tile types: Add to TILE_TYPES constant and parseTile() function
  * - New colors: Add to COLORS and COLOR_VALUES constants
  * - Power-ups: Add handling in handleTileInteraction() method
- * - Moving obstacles: Add update logic in gameLoop()
- * - Lives system: Add lives counter to Player class
+ * - Moving obstacles: Add a hazard type to HAZARD_TYPES and HazardSystem
+ * - Difficulty modes: Add to DIFFICULTY_MODES and DIFFICULTY_SETTINGS (see playerDied())
+ * - Ways to fail: Add to FAILURE_REASONS and FAILURE_TITLES, then call playerDied() with the reason
  *
  * The modular architecture makes extensions straightforward!
  */